@@ -1,11 +1,27 @@
 'use strict';
 
+const crypto = require('crypto');
 const AWS = require('aws-sdk');
+const { DateTime } = require('luxon');
+const { createTranslator } = require('../lambda/i18n');
+const { getStore } = require('../lambda/storage');
+const {
+  FAMILY_CONFLICT,
+  collectRedemptionRefs,
+  isRedemption,
+  samePerson,
+} = require('../lambda/storage/util');
 
 const LWA_TOKEN_URL = 'https://api.amazon.com/auth/o2/token';
 const PROACTIVE_API_URL = 'https://api.amazonalexa.com/v1/proactive/campaigns';
 
 const HOME_CARD_LOCALE = process.env.HOME_CARD_LOCALE || 'en-US';
+// Each campaign carries one content value per locale; Alexa shows the one
+// matching the user's device.
+const HOME_CARD_LOCALES = (process.env.HOME_CARD_LOCALES || HOME_CARD_LOCALE)
+  .split(',')
+  .map((locale) => locale.trim())
+  .filter((locale) => locale);
 const HOME_CARD_SKILL_ID = process.env.HOME_CARD_SKILL_ID;
 const HOME_CARD_IMAGE_URL = process.env.HOME_CARD_IMAGE_URL;
 const HOME_CARD_SECRET_NAME = process.env.HOME_CARD_SECRET_NAME;
@@ -17,25 +33,33 @@ const HOME_CARD_EXPIRY_HOURS = parseInt(
   process.env.HOME_CARD_EXPIRY_HOURS || '48',
   10
 );
+const HOME_CARD_MAX_ATTEMPTS = parseInt(
+  process.env.HOME_CARD_MAX_ATTEMPTS || '4',
+  10
+);
+const HOME_CARD_RETRY_BASE_MS = parseInt(
+  process.env.HOME_CARD_RETRY_BASE_MS || '1000',
+  10
+);
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Oslo';
+const MAX_SAVE_ATTEMPTS = 3;
+const WEEK_DAYS = 7;
 
-const HOME_CARD_HEADER = process.env.HOME_CARD_HEADER || 'Family Points';
-const HOME_CARD_PRIMARY =
-  process.env.HOME_CARD_PRIMARY || "Tap for today's summary";
-const HOME_CARD_SECONDARY =
-  process.env.HOME_CARD_SECONDARY || 'Krish • Adith • Kamal • Amirtha';
-const HOME_CARD_ATTRIBUTION =
-  process.env.HOME_CARD_ATTRIBUTION || 'Daily tracker';
-const HOME_CARD_HINT =
-  process.env.HOME_CARD_HINT || 'Try "{WakeWord}, points today"';
+// The card text comes from the skill's catalogs in each locale; these
+// override it for every locale when set. The primary and secondary text are
+// used for families without kids yet and for SKILL_SUBSCRIBERS campaigns,
+// which can't carry one family's standings.
+const HOME_CARD_HEADER = process.env.HOME_CARD_HEADER;
+const HOME_CARD_PRIMARY = process.env.HOME_CARD_PRIMARY;
+const HOME_CARD_SECONDARY = process.env.HOME_CARD_SECONDARY;
+const HOME_CARD_ATTRIBUTION = process.env.HOME_CARD_ATTRIBUTION;
+const HOME_CARD_HINT = process.env.HOME_CARD_HINT;
 
 function assertConfig() {
   const missing = [];
   if (!HOME_CARD_SKILL_ID) missing.push('HOME_CARD_SKILL_ID');
   if (!HOME_CARD_IMAGE_URL) missing.push('HOME_CARD_IMAGE_URL');
   if (!HOME_CARD_SECRET_NAME) missing.push('HOME_CARD_SECRET_NAME');
-  if (HOME_CARD_TARGETING === 'USERS' && !HOME_CARD_USER_ID) {
-    missing.push('HOME_CARD_USER_ID');
-  }
   if (missing.length) {
     throw new Error(`Missing env vars: ${missing.join(', ')}`);
   }
@@ -95,13 +119,89 @@ async function getLwaToken({ clientId, clientSecret }) {
   return data.access_token;
 }
 
-function buildCampaignPayload(now) {
+function parseKids(raw) {
+  return (raw || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => name);
+}
+
+function localNow(now, timezone) {
+  const local = DateTime.fromJSDate(now).setZone(timezone || DEFAULT_TIMEZONE);
+  return local.isValid
+    ? local
+    : DateTime.fromJSDate(now).setZone(DEFAULT_TIMEZONE);
+}
+
+// Totals follow the skill's summaries: redemptions only move balances, and
+// the week is the last seven days including today.
+async function loadStandings(store, family, now) {
+  const local = localNow(now, family.timezone);
+  const today = local.toISODate();
+  const weekStart = local.minus({ days: WEEK_DAYS - 1 }).toISODate();
+  // Undoing a redemption is only recognisable next to the redemption
+  // itself, so families with rewards read their whole log.
+  const events = await store.readEvents(
+    family.tabName,
+    family.rewards ? {} : { since: weekStart }
+  );
+  const redemptions = collectRedemptionRefs(events);
+
+  const standings = parseKids(family.kids).map((name) => ({
+    name,
+    today: 0,
+    week: 0,
+  }));
+  for (const event of events) {
+    if (event.date < weekStart || event.date > today) continue;
+    if (isRedemption(event, redemptions)) continue;
+    const entry = standings.find((s) => samePerson(s.name, event.person));
+    if (!entry) continue;
+    entry.week += event.delta;
+    if (event.date === today) entry.today += event.delta;
+  }
+  return standings;
+}
+
+function formatStandings(standings, key) {
+  return [...standings]
+    .sort((a, b) => b[key] - a[key])
+    .map((entry) => `${entry.name} ${entry[key]}`)
+    .join(' • ');
+}
+
+function buildCardText(t, standings) {
+  const text = {
+    headerText: HOME_CARD_HEADER || t('homeCard.header'),
+    attributionText: HOME_CARD_ATTRIBUTION || t('homeCard.attribution'),
+    hintText: HOME_CARD_HINT || t('homeCard.hint'),
+  };
+  if (standings.length === 0) {
+    return {
+      ...text,
+      primaryText: HOME_CARD_PRIMARY || t('homeCard.primary'),
+      secondaryText: HOME_CARD_SECONDARY || t('homeCard.secondary'),
+    };
+  }
+  return {
+    ...text,
+    primaryText: t('homeCard.today', {
+      standings: formatStandings(standings, 'today'),
+    }),
+    secondaryText: t('homeCard.week', {
+      standings: formatStandings(standings, 'week'),
+    }),
+  };
+}
+
+// With a userId the campaign targets that user and shows their family's
+// standings; without one it goes to every subscriber with the generic text.
+function buildCampaignPayload(now, card = {}) {
   const end = new Date(now.getTime() + HOME_CARD_EXPIRY_HOURS * 60 * 60 * 1000);
 
-  const targeting =
-    HOME_CARD_TARGETING === 'SKILL_SUBSCRIBERS'
-      ? { type: 'SKILL_SUBSCRIBERS' }
-      : { type: 'USERS', values: [{ id: HOME_CARD_USER_ID }] };
+  const targeting = card.userId
+    ? { type: 'USERS', values: [{ id: card.userId }] }
+    : { type: 'SKILL_SUBSCRIBERS' };
 
   return {
     suggestion: {
@@ -109,32 +209,29 @@ function buildCampaignPayload(now) {
         {
           placement: { channel: 'HOME' },
           content: {
-            values: [
-              {
-                locale: HOME_CARD_LOCALE,
-                document: {
-                  type: 'Link',
-                  src: 'doc://alexa/apl/documents/home/cards/textWrapping',
-                },
-                datasources: {
-                  displayText: {
-                    headerText: HOME_CARD_HEADER,
-                    primaryText: HOME_CARD_PRIMARY,
-                    secondaryText: HOME_CARD_SECONDARY,
-                    attributionText: HOME_CARD_ATTRIBUTION,
-                    hintText: HOME_CARD_HINT,
-                    action: {
-                      type: 'SkillConnection',
-                      uri: `connection://AMAZON.ColdLaunch/1?provider=${HOME_CARD_SKILL_ID}`,
-                      input: {},
-                    },
-                  },
-                  background: {
-                    backgroundImageSource: HOME_CARD_IMAGE_URL,
+            values: HOME_CARD_LOCALES.map((locale) => ({
+              locale,
+              document: {
+                type: 'Link',
+                src: 'doc://alexa/apl/documents/home/cards/textWrapping',
+              },
+              datasources: {
+                displayText: {
+                  ...buildCardText(
+                    createTranslator(locale),
+                    card.standings || []
+                  ),
+                  action: {
+                    type: 'SkillConnection',
+                    uri: `connection://AMAZON.ColdLaunch/1?provider=${HOME_CARD_SKILL_ID}`,
+                    input: {},
                   },
                 },
+                background: {
+                  backgroundImageSource: HOME_CARD_IMAGE_URL,
+                },
               },
-            ],
+            })),
           },
         },
       ],
@@ -161,12 +258,189 @@ async function createCampaign(token, payload) {
 
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Proactive API error ${response.status}: ${text}`);
+    const err = new Error(`Proactive API error ${response.status}: ${text}`);
+    err.status = response.status;
+    err.retryAfter = response.headers.get('retry-after');
+    throw err;
   }
 
   return response.json();
 }
 
+async function deleteCampaign(token, campaignId) {
+  const response = await fetch(
+    `${PROACTIVE_API_URL}/${encodeURIComponent(campaignId)}`,
+    {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${token}` },
+    }
+  );
+  if (!response.ok && response.status !== 404) {
+    const text = await response.text();
+    throw new Error(`Proactive API error ${response.status}: ${text}`);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Throttling (429), server errors and network failures are retried with
+// exponential backoff, waiting for Retry-After when the API sends one.
+async function createCampaignWithRetry(token, payload) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const result = await createCampaign(token, payload);
+      return { result, attempts: attempt };
+    } catch (err) {
+      const retryable = !err.status || err.status === 429 || err.status >= 500;
+      if (!retryable || attempt >= HOME_CARD_MAX_ATTEMPTS) {
+        err.attempts = attempt;
+        throw err;
+      }
+      const retryAfter = parseInt(err.retryAfter, 10);
+      await sleep(
+        Number.isFinite(retryAfter)
+          ? retryAfter * 1000
+          : HOME_CARD_RETRY_BASE_MS * 2 ** (attempt - 1)
+      );
+    }
+  }
+}
+
+// One target per account. A linked account shows the family it joined but
+// keeps its own campaign state, since campaigns target single users.
+function collectTargets(families) {
+  const byUser = new Map();
+  for (const row of families) {
+    if (row.userId && !byUser.has(row.userId)) byUser.set(row.userId, row);
+  }
+  const only = HOME_CARD_USER_ID
+    ? new Set(HOME_CARD_USER_ID.split(',').map((id) => id.trim()))
+    : null;
+
+  return [...byUser.values()]
+    .filter((row) => !only || only.has(row.userId))
+    .map((row) => ({
+      row,
+      family: row.owner ? byUser.get(row.owner) || null : row,
+    }));
+}
+
+// Identifies what a card shows, so a run can tell whether the standings
+// moved since the card that is up now.
+function hashCardContent(payload) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(payload.suggestion))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// The campaign id, the end of its activation window and a hash of its text
+// are kept on the user's row so the next run skips users whose card is still
+// showing the same standings.
+// A parent may change the family while its card is published, so a
+// conflict re-reads the row and records the campaign on that. Returns the
+// row it was recorded on, or null when it couldn't be.
+async function rememberCampaign(store, row, campaign) {
+  let base = row;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await store.saveFamily(
+        {
+          ...base,
+          homeCardId: campaign.id || '',
+          homeCardExpires: campaign.expires,
+          homeCardHash: campaign.hash,
+        },
+        base
+      );
+      return base;
+    } catch (err) {
+      if (err.code === FAMILY_CONFLICT && attempt < MAX_SAVE_ATTEMPTS) {
+        base = await store.getFamily(row.userId);
+        if (base) continue;
+      }
+      console.error(
+        `Could not record campaign for ${row.tabName}: ${err.message}`
+      );
+      return null;
+    }
+  }
+}
+
+async function publishForTarget(store, token, target, now) {
+  const { row, family } = target;
+  const report = { userId: row.userId };
+  if (!family || parseKids(family.kids).length === 0) {
+    return { ...report, status: 'skipped', reason: 'no kids' };
+  }
+  const active = row.homeCardExpires && new Date(row.homeCardExpires) > now;
+
+  try {
+    const standings = await loadStandings(store, family, now);
+    const payload = buildCampaignPayload(now, {
+      userId: row.userId,
+      standings,
+    });
+    const hash = hashCardContent(payload);
+    if (active && row.homeCardHash === hash) {
+      return {
+        ...report,
+        status: 'skipped',
+        reason: 'unchanged',
+        campaignId: row.homeCardId || null,
+      };
+    }
+
+    const { result, attempts } = await createCampaignWithRetry(token, payload);
+    const campaignId = result.id || result.campaignId || null;
+    const recorded = await rememberCampaign(store, row, {
+      id: campaignId,
+      expires: payload.scheduling.activationWindow.end,
+      hash,
+    });
+    // A card that isn't on the row would never be replaced, so it is taken
+    // down again and the old one stays until the next run.
+    if (!recorded) {
+      if (campaignId) {
+        await deleteCampaign(token, campaignId);
+      }
+      return {
+        ...report,
+        status: 'failed',
+        error: 'campaign could not be recorded',
+        attempts,
+      };
+    }
+    // The new card replaces the one on the row rather than showing next to
+    // it; after a conflict that may be a card another run published.
+    if (
+      recorded.homeCardId &&
+      recorded.homeCardExpires &&
+      new Date(recorded.homeCardExpires) > now
+    ) {
+      try {
+        await deleteCampaign(token, recorded.homeCardId);
+      } catch (err) {
+        console.error(
+          `Could not remove old campaign for ${row.tabName}: ${err.message}`
+        );
+      }
+    }
+    return { ...report, status: 'published', campaignId, attempts };
+  } catch (err) {
+    console.error(`Home card failed for ${row.tabName}: ${err.message}`);
+    return {
+      ...report,
+      status: 'failed',
+      error: err.message,
+      attempts: err.attempts || 0,
+    };
+  }
+}
+
 exports.handler = async () => {
   assertConfig();
 
@@ -174,11 +448,38 @@ exports.handler = async () => {
   const credentials = extractClientCredentials(secret);
   const token = await getLwaToken(credentials);
 
-  const payload = buildCampaignPayload(new Date());
-  const result = await createCampaign(token, payload);
+  const now = new Date();
+  if (HOME_CARD_TARGETING === 'SKILL_SUBSCRIBERS') {
+    const { result } = await createCampaignWithRetry(
+      token,
+      buildCampaignPayload(now)
+    );
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        campaignId: result.id || result.campaignId || null,
+      }),
+    };
+  }
+
+  // Users are handled one at a time so a large household list doesn't
+  // trip the API's rate limit.
+  const store = getStore();
+  const targets = collectTargets(await store.readFamilies());
+  const results = [];
+  for (const target of targets) {
+    results.push(await publishForTarget(store, token, target, now));
+  }
 
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
   return {
     statusCode: 200,
-    body: JSON.stringify({ campaignId: result.id || result.campaignId || null }),
+    body: JSON.stringify({
+      published: count('published'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      results,
+    }),
   };
 };
@@ -0,0 +1,100 @@
+'use strict';
+
+const { DateTime } = require('luxon');
+const { getStore } = require('./storage');
+const { isAggregate } = require('./storage/util');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Oslo';
+const COMPACTION_HORIZON_DAYS = parseInt(
+  process.env.COMPACTION_HORIZON_DAYS || '400',
+  10
+);
+
+// Sums every raw event dated before `before` into one row per day, child
+// and adult. Undo events count towards the adult who made the original
+// change, and anything touching a redemption stays separate so balances
+// keep it while daily totals still skip it.
+function buildAggregates(events, before, zone) {
+  const byTimestamp = new Map(
+    events.map((event) => [event.timestamp_iso, event])
+  );
+  const redemptions = new Set(
+    events
+      .filter((event) => event.type === 'redeem')
+      .map((event) => event.timestamp_iso)
+  );
+
+  const groups = new Map();
+  for (const event of events) {
+    if (!event.date || event.date >= before || isAggregate(event)) continue;
+
+    const source =
+      event.type === 'undo' ? byTimestamp.get(event.ref) || event : event;
+    const type =
+      event.type === 'redeem' ||
+      (event.type === 'undo' && redemptions.has(event.ref))
+        ? 'redeem_aggregate'
+        : 'aggregate';
+    const key = [event.date, event.person, source.who, type].join('|');
+    const group = groups.get(key) || {
+      date: event.date,
+      person: event.person,
+      who: source.who,
+      type,
+      delta: 0,
+      count: 0,
+    };
+    group.delta += event.delta;
+    group.count += 1;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()]
+    .filter((group) => group.delta !== 0)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((group) => ({
+      timestamp_iso: DateTime.fromISO(group.date, { zone }).toISO(),
+      date: group.date,
+      person: group.person,
+      delta: group.delta,
+      who: group.who,
+      note: `${group.count} ${group.count === 1 ? 'change' : 'changes'}`,
+      type: group.type,
+      ref: '',
+    }));
+}
+
+async function compactFamily(store, family, now, horizonDays) {
+  const zone = family.timezone || DEFAULT_TIMEZONE;
+  const before = now
+    .setZone(zone)
+    .startOf('day')
+    .minus({ days: horizonDays })
+    .toISODate();
+  const events = await store.readEvents(family.tabName);
+  const aggregates = buildAggregates(events, before, zone);
+  return store.compactEvents(family.tabName, before, aggregates);
+}
+
+exports.buildAggregates = buildAggregates;
+
+exports.handler = async (event = {}) => {
+  const horizonDays = event.horizonDays || COMPACTION_HORIZON_DAYS;
+  const store = getStore();
+  const now = DateTime.now();
+  const families = await store.readFamilies();
+
+  let compacted = 0;
+  const results = [];
+  for (const family of families) {
+    // Accounts that joined another parent's family share the owner's tab.
+    if (!family.tabName || family.owner) continue;
+    const count = await compactFamily(store, family, now, horizonDays);
+    if (count > 0) {
+      results.push({ tabName: family.tabName, compacted: count });
+    }
+    compacted += count;
+  }
+
+  return { families: families.length, compacted, results };
+};
@@ -0,0 +1,141 @@
+'use strict';
+
+// Admin export of one family's data, for access requests:
+//   node export.js <userId> [--format json|csv] [--out file] [--locale xx-XX]
+// Uses the same STORAGE_BACKEND and backend variables as the skill.
+
+const fs = require('fs');
+const { DEFAULT_LOCALE, createTranslator } = require('./i18n');
+const { getStore } = require('./storage');
+
+const EVENT_COLUMNS = [
+  'timestamp_iso',
+  'date',
+  'person',
+  'delta',
+  'who',
+  'note',
+  'type',
+  'ref',
+  'archived',
+];
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function eventsToCsv(events) {
+  const lines = [EVENT_COLUMNS.join(',')];
+  for (const event of events) {
+    lines.push(EVENT_COLUMNS.map((column) => csvCell(event[column])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Undo events only ref the change they cancel, so their note is written
+// here in the export's language. Older undo events kept an English note.
+function describeUndos(events, t) {
+  return events.map((event) => {
+    if (event.type !== 'undo' || event.note) return event;
+    const original = events.find(
+      (other) =>
+        other.type !== 'undo' &&
+        other.timestamp_iso === event.ref &&
+        other.person === event.person
+    );
+    const change =
+      original && original.note && !/^(Added|Reduced) \d+$/.test(original.note)
+        ? original.note
+        : t('points', { count: Math.abs(event.delta) });
+    return { ...event, note: t('undo.note', { change }) };
+  });
+}
+
+// An account that joined another parent's family is exported as that
+// family, since its own row holds nothing but the link. Notes are written
+// in `locale`, or the family's summary language when none is given.
+// Raw events that compaction moved to the archive come first, marked
+// `archived`, since the aggregates that replaced them are in the events.
+async function exportFamily(
+  userId,
+  format = 'json',
+  store = getStore(),
+  locale = null
+) {
+  const row = await store.getFamily(userId);
+  if (!row) return null;
+  const family = row.owner ? await store.getFamily(row.owner) : row;
+  if (!family) return null;
+
+  const t = createTranslator(locale || family.summaryLocale || DEFAULT_LOCALE);
+  const archived = await store.readArchivedEvents(family.tabName);
+  const events = describeUndos(
+    [
+      ...archived.map((event) => ({ ...event, archived: true })),
+      ...(await store.readEvents(family.tabName)),
+    ],
+    t
+  );
+  if (format === 'csv') return eventsToCsv(events);
+
+  const { rowIndex, version, inviteCode, inviteExpires, ...settings } = family;
+  return `${JSON.stringify({ family: settings, events }, null, 2)}\n`;
+}
+
+function parseArgs(argv) {
+  const args = { format: 'json', out: null, locale: null, userId: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--format') {
+      args.format = argv[++i];
+    } else if (argv[i] === '--out') {
+      args.out = argv[++i];
+    } else if (argv[i] === '--locale') {
+      args.locale = argv[++i];
+    } else {
+      args.userId = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.userId || !['json', 'csv'].includes(args.format)) {
+    console.error(
+      'Usage: node export.js <userId> [--format json|csv] [--out file] [--locale xx-XX]'
+    );
+    return 2;
+  }
+
+  const output = await exportFamily(
+    args.userId,
+    args.format,
+    getStore(),
+    args.locale
+  );
+  if (output === null) {
+    console.error(`No family found for ${args.userId}`);
+    return 1;
+  }
+  if (args.out) {
+    await fs.promises.writeFile(args.out, output);
+  } else {
+    process.stdout.write(output);
+  }
+  return 0;
+}
+
+exports.exportFamily = exportFamily;
+exports.eventsToCsv = eventsToCsv;
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exitCode = code;
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
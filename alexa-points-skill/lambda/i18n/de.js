@@ -0,0 +1,344 @@
+'use strict';
+
+module.exports = {
+  followUp: 'Noch etwas?',
+  points: { one: '{count} Punkt', other: '{count} Punkte' },
+  minusPoints: { one: 'minus {count} Punkt', other: 'minus {count} Punkte' },
+  defaultAdult: 'Elternteil',
+  kidsConjunctions: 'und',
+  reasonPrefixes: 'für|fürs|weil|wegen',
+
+  welcome:
+    'Willkommen beim Punktezählen für deine Kinder. Nenne die Namen aller Kinder. Sag zum Beispiel: meine Kinder sind Alex, Krish und Jasmin. Wenn ein anderer Elternteil schon eine Familie mit dir geteilt hat, sag: Familiencode, und dann den Code.',
+  askKidNames: 'Bitte nenne mir die Namen deiner Kinder.',
+  help: 'Du kannst sagen: meine Kinder sind Anna und Ben. Oder: gib Anna einen Punkt. Oder: mach das rückgängig. Oder: Zusammenfassung für heute. Oder: stelle meine Zeitzone auf mitteleuropäische Zeit. Sag fertig, um zu beenden.',
+  fallback:
+    'Entschuldigung, das habe ich nicht verstanden. Sag zum Beispiel: gib Anna einen Punkt, Zusammenfassung oder fertig.',
+  done: 'Okay.',
+  goodbye: 'Tschüss.',
+  error:
+    'Entschuldigung, dabei ist etwas schiefgegangen. Bitte prüfe die Konfiguration des Skills und versuch es noch einmal.',
+
+  'period.today': 'heute',
+  'period.week': 'diese Woche',
+  'period.month': 'diesen Monat',
+  'previous.today': 'gestern',
+  'previous.week': 'letzte Woche',
+  'previous.month': 'im gleichen Zeitraum letzten Monat',
+
+  'chart.last3Days': 'Letzte 3 Tage',
+  'chart.last7Days': 'Letzte 7 Tage',
+  'chart.thisMonth': 'Dieser Monat',
+  'chart.today': 'Heute',
+  'chart.thisWeek': 'Diese Woche',
+  'chart.fromAdult': '{title} von {adult}',
+  'chart.leaderboard': 'Rangliste · {label}',
+  'chart.compare.today': 'Im Vergleich zu gestern',
+  'chart.compare.week': 'Im Vergleich zur letzten Woche',
+  'chart.compare.month': 'Im Vergleich zum Vormonat',
+  'chart.balance': 'Guthaben {count}',
+  'chart.goal.day': '{progress}/{amount} heute',
+  'chart.goal.week': '{progress}/{amount} diese Woche',
+  'chart.streak.day': {
+    one: '{count} Tag in Folge',
+    other: '{count} Tage in Folge',
+  },
+  'chart.streak.week': {
+    one: '{count} Woche in Folge',
+    other: '{count} Wochen in Folge',
+  },
+  'chart.bestDay': 'Bester Tag: {day}, {points}',
+  'chart.quietestDay': 'Ruhigster Tag: {day}, {points}',
+
+  'range.today': 'Heute',
+  'range.yesterday': 'Gestern',
+  'range.day': '{date}',
+  'range.thisWeek': 'Diese Woche',
+  'range.lastWeek': 'Letzte Woche',
+  'range.weekOf': 'Woche vom {date}',
+  'range.thisWeekend': 'Dieses Wochenende',
+  'range.weekendOf': 'Wochenende vom {date}',
+  'range.month': '{date}',
+  'range.year': '{date}',
+  'range.lastDays': 'Letzte {count} Tage',
+  'rangePhrase.today': 'Heute',
+  'rangePhrase.yesterday': 'Gestern',
+  'rangePhrase.day': 'Am {date}',
+  'rangePhrase.thisWeek': 'Diese Woche',
+  'rangePhrase.lastWeek': 'Letzte Woche',
+  'rangePhrase.weekOf': 'In der Woche vom {date}',
+  'rangePhrase.thisWeekend': 'Dieses Wochenende',
+  'rangePhrase.weekendOf': 'Am Wochenende vom {date}',
+  'rangePhrase.month': 'Im {date}',
+  'rangePhrase.year': 'Im Jahr {date}',
+  'rangePhrase.lastDays': 'In den letzten {count} Tagen',
+  'rangeError.unknown':
+    'Entschuldigung, das kann ich nicht zusammenfassen. Versuch es mit gestern, letzte Woche, September oder den letzten zehn Tagen.',
+  'rangeError.future':
+    'Das ist noch nicht passiert. Versuch es mit einem Tag oder Zeitraum in der Vergangenheit.',
+  'rangeError.tooLong':
+    'Ich kann bis zu {count} Tage auf einmal zusammenfassen.',
+
+  kidHas: '{kid} hat {points}',
+  kidHad: '{kid} hatte {points}',
+  'summary.today': 'Heute: {list}.',
+  'summary.week': 'Die Wochenübersicht: {list}.',
+  'summary.month': 'Die Monatsübersicht: {list}.',
+  'summary.range': '{phrase}: {list}.',
+  'summary.fromAdult': 'Ich zähle nur Punkte von {adult}.',
+  'summary.notification': 'Hier ist die heutige Punkteübersicht. {summary}',
+  balance: 'Zum Einlösen für Belohnungen: {list}.',
+  'goal.day': 'Tagesziel',
+  'goal.week': 'Wochenziel',
+  'goal.met': '{kid} hat das {goal} erreicht{streak}',
+  'goal.streak.day': ', {count} Tage in Folge',
+  'goal.streak.week': ', {count} Wochen in Folge',
+  'goal.needs': {
+    one: '{kid} braucht noch {count} Punkt{purpose}',
+    other: '{kid} braucht noch {count} Punkte{purpose}',
+  },
+  'goal.keepStreak.day': {
+    one: ', um die Serie von {count} Tag zu halten',
+    other: ', um die Serie von {count} Tagen zu halten',
+  },
+  'goal.keepStreak.week': {
+    one: ', um die Serie von {count} Woche zu halten',
+    other: ', um die Serie von {count} Wochen zu halten',
+  },
+  'goal.reach': ' für das {goal}',
+
+  'kidSummary.ask':
+    'Über welches Kind möchtest du etwas hören? Du kannst {kids} sagen.',
+  'kidSummary.period': '{kid} hat {period} {points}.',
+  'kidSummary.days':
+    'Bester Tag: {best}, {bestPoints}. Ruhigster Tag: {worst}, {worstPoints}.',
+  'kidSummary.balance': '{kid} hat {points} für Belohnungen.',
+
+  'leaderboard.single': '{intro} hat {kid} {points}.',
+  'leaderboard.tied': '{intro} haben alle gleich viel: {points}.',
+  'leaderboard.leader': '{kid} führt und hat {points}',
+  'leaderboard.leaders': '{kids} führen gemeinsam und haben je {points}',
+  'leaderboard.other': '{kid} hat {points}',
+  'leaderboard.others': '{kids} haben je {points}',
+  'leaderboard.full': '{intro}: {lead}. Dahinter: {others}.',
+
+  'compare.ask': 'Welches Kind soll ich vergleichen? Du kannst {kids} sagen.',
+  'compare.base': '{kid} hat {period} {points}',
+  'compare.same': '{base}, genauso viel wie {previous}',
+  'compare.up': 'mehr',
+  'compare.down': 'weniger',
+  'compare.percent': '{count} Prozent {direction}',
+  'compare.changed': '{base}, {change} als {previous}, da waren es {points}',
+
+  'reasons.ask':
+    'Über welches Kind möchtest du etwas hören? Du kannst {kids} sagen.',
+  'reasons.none': '{kid} hat {period} keine Punkteänderungen.',
+  'reasons.got': 'bekam {points} für {reason}',
+  'reasons.lost': 'verlor {points} für {reason}',
+  'reasons.unexplained': {
+    one: 'hatte {count} Änderung ohne Grund',
+    other: 'hatte {count} Änderungen ohne Grund',
+  },
+  'reasons.summary': '{intro}: {kid} {list}. Das macht {points}.',
+
+  'whoGave.none': 'Niemand hat {period} die Punkte von {kid} geändert.',
+  'whoGave.gave': '{adult} gab {kid} {points}',
+  'whoGave.took': '{adult} nahm {kid} {points} weg',
+  'whoGave.summary': '{intro}: {list}.',
+
+  'configure.noNames':
+    'Entschuldigung, ich habe die Namen nicht verstanden. Sag bitte: meine Kinder sind ...',
+  'configure.done':
+    'Super. Ich zähle Punkte für {kids}. Du kannst sagen: gib {kid} einen Punkt.',
+  'addKid.ask':
+    'Wen soll ich hinzufügen? Sag zum Beispiel: füge Maya zu meinen Kindern hinzu.',
+  'addKid.exists': '{kid} ist schon auf der Liste.',
+  'addKid.tooMany':
+    'Ich kann bis zu {count} Kinder verwalten. Entferne zuerst jemanden und füge dann {kid} hinzu.',
+  'addKid.done':
+    'Okay, ich habe {kid} hinzugefügt. Ich zähle jetzt für {kids}.',
+  'removeKid.ask': 'Wen soll ich entfernen? Du kannst {kids} sagen.',
+  'removeKid.onlyOne':
+    '{kid} ist das einzige Kind auf der Liste. Um neu anzufangen, sag: meine Kinder sind, und dann ihre Namen.',
+  'removeKid.confirm':
+    'Soll ich {kid} von deinen Kindern entfernen? Die bisherigen Punkte bleiben im Protokoll.',
+  'removeKid.reprompt': 'Soll ich {kid} entfernen?',
+  'removeKid.kept': 'Okay, {kid} bleibt auf der Liste.',
+  'removeKid.done':
+    'Okay, ich habe {kid} entfernt. Ich zähle jetzt für {kids}.',
+  'rename.ask':
+    'Sag mir, wen ich umbenennen soll, und den neuen Namen. Sag zum Beispiel: benenne {kid} in Sam um.',
+  'rename.done':
+    'Okay, {kid} heißt jetzt {newName}, und die bisherigen Punkte sind mit umgezogen.',
+
+  'nickname.ask':
+    'Welches Kind und welcher Spitzname? Du kannst sagen: {kid} hat den Spitznamen Flo.',
+  'nickname.askRemove': 'Welchen Spitznamen soll ich entfernen?',
+  'nickname.isKid': '{nickname} ist schon der Name eines deiner Kinder.',
+  'nickname.taken': '{nickname} ist schon ein Spitzname für {kid}.',
+  'nickname.tooMany':
+    '{kid} hat schon {count} Spitznamen. Entferne zuerst einen.',
+  'nickname.done':
+    'Okay, wenn du {nickname} sagst, weiß ich, dass du {kid} meinst.',
+  'nickname.unknown': '{nickname} kenne ich nicht als Spitznamen.',
+  'nickname.removed': 'Okay, {nickname} steht nicht mehr für {kid}.',
+
+  'adjust.ask': 'Welches Kind soll ich aktualisieren? Du kannst {kids} sagen.',
+  'adjust.checkKid': 'Meinst du {kid}?',
+  'adjust.large': 'Das sind viele Punkte.',
+  'adjust.checkAdd': 'Soll ich {kids} {count} Punkte geben?',
+  'adjust.checkReduce': 'Soll ich bei {kids} {count} Punkte abziehen?',
+  'adjust.amountAdd': 'Wie viele Punkte soll ich {kids} geben?',
+  'adjust.amountReduce': 'Wie viele Punkte soll ich bei {kids} abziehen?',
+  'adjust.added': {
+    one: 'Okay, {count} Punkt für {kid}{reason}{when} hinzugefügt.',
+    other: 'Okay, {count} Punkte für {kid}{reason}{when} hinzugefügt.',
+  },
+  'adjust.reduced': {
+    one: 'Okay, {count} Punkt bei {kid}{reason}{when} abgezogen.',
+    other: 'Okay, {count} Punkte bei {kid}{reason}{when} abgezogen.',
+  },
+  'adjust.addedEach': {
+    one: 'Okay, je {count} Punkt für {kids}{reason}{when} hinzugefügt.',
+    other: 'Okay, je {count} Punkte für {kids}{reason}{when} hinzugefügt.',
+  },
+  'adjust.reducedEach': {
+    one: 'Okay, je {count} Punkt bei {kids}{reason}{when} abgezogen.',
+    other: 'Okay, je {count} Punkte bei {kids}{reason}{when} abgezogen.',
+  },
+  'adjust.reason': ' für {reason}',
+  'adjust.yesterday': ' für gestern',
+  'adjust.onDay': ' für {day}',
+  'adjust.kidToday': '{kid} hat heute {points}.',
+  'adjust.kidThatDay': '{kid} hatte an dem Tag {points}.',
+  'adjust.thatDay': 'An dem Tag: {list}.',
+  'entryError.unknown':
+    'Für welchen Tag soll ich sie eintragen? Du kannst gestern oder letzten Samstag sagen.',
+  'entryError.notDay':
+    'Bitte nenne einen einzelnen Tag, zum Beispiel gestern oder letzten Samstag.',
+  'entryError.future':
+    'Für einen Tag, der noch nicht war, kann ich keine Punkte eintragen.',
+  'entryError.tooOld':
+    'Ich kann nur Punkte für die letzten {count} Tage eintragen.',
+
+  'undo.nothing': 'Es gibt nichts rückgängig zu machen.',
+  'undo.note': 'Rückgängig: {change}',
+  'undo.redeem':
+    'Okay, ich habe das Einlösen von {reward} für {kid} rückgängig gemacht. {kid} bekommt {points} zurück.',
+  'undo.added': {
+    one: 'Okay, ich habe {count} Punkt für {kid}{when} zurückgenommen.',
+    other: 'Okay, ich habe {count} Punkte für {kid}{when} zurückgenommen.',
+  },
+  'undo.reduced': {
+    one: 'Okay, ich habe den Abzug von {count} Punkt bei {kid}{when} zurückgenommen.',
+    other:
+      'Okay, ich habe den Abzug von {count} Punkten bei {kid}{when} zurückgenommen.',
+  },
+  'undo.addedEach': {
+    one: 'Okay, ich habe je {count} Punkt für {kids}{when} zurückgenommen.',
+    other: 'Okay, ich habe je {count} Punkte für {kids}{when} zurückgenommen.',
+  },
+  'undo.reducedEach': {
+    one: 'Okay, ich habe den Abzug von je {count} Punkt bei {kids}{when} zurückgenommen.',
+    other:
+      'Okay, ich habe den Abzug von je {count} Punkten bei {kids}{when} zurückgenommen.',
+  },
+
+  'reward.item': '{reward} für {points}',
+  'reward.ask':
+    'Sag mir die Belohnung und was sie kostet. Sag zum Beispiel: Bildschirmzeit kostet 10 Punkte.',
+  'reward.set':
+    'Okay, {reward} kostet {points}. Du kannst sagen: löse {reward} für {kid} ein.',
+  'reward.notFound':
+    'Ich habe diese Belohnung nicht gefunden. Deine Belohnungen sind {rewards}.',
+  'reward.noneSetUp': 'Es sind noch keine Belohnungen eingerichtet.',
+  'reward.removed': 'Okay, ich habe {reward} aus den Belohnungen entfernt.',
+  'reward.list': 'Die Belohnungen sind {rewards}.',
+  'reward.empty':
+    'Es gibt noch keine Belohnungen. Du kannst sagen: Bildschirmzeit kostet 10 Punkte.',
+  'redeem.askReward': 'Welche Belohnung? Du kannst {rewards} wählen.',
+  'redeem.askKid': 'Wer löst {reward} ein? Du kannst {kids} sagen.',
+  'redeem.notEnough': '{kid} hat {points}, aber {reward} kostet {cost}.',
+  'redeem.done':
+    'Okay, {kid} hat {reward} für {cost} eingelöst. {kid} hat noch {points}.',
+
+  'setGoal.ask':
+    'Sag mir das Kind und das Ziel. Sag zum Beispiel: das Ziel von {kid} ist 5 Punkte am Tag.',
+  'setGoal.cleared': 'Okay, {kid} hat kein Ziel mehr.',
+  'setGoal.day': 'Okay, das Ziel von {kid} ist {points} am Tag.',
+  'setGoal.week': 'Okay, das Ziel von {kid} ist {points} pro Woche.',
+
+  'adult.unknown': 'Ich kenne niemanden namens {adult}. Ich kenne {adults}.',
+  'adult.noVoice':
+    'Ich konnte deine Stimme nicht erkennen. Richte in der Alexa App ein Stimmprofil ein und sag mir dann noch einmal deinen Namen.',
+  'adult.ask': 'Wie soll ich dich nennen? Sag zum Beispiel: ich bin Papa.',
+  'adult.done':
+    'Okay, {adult}. Ab jetzt notiere ich deinen Namen bei den Punkten, die du vergibst.',
+
+  'timezone.unknown':
+    'Entschuldigung, diese Zeitzone kenne ich nicht. Du kannst sagen: stelle meine Zeitzone auf mitteleuropäische Zeit.',
+  'timezone.device': 'die Zeitzone deines Geräts',
+  'timezone.done': 'Okay, ich verwende {timezone}. Dort ist es jetzt {time}.',
+
+  'share.code':
+    'Dein Familiencode ist {code}. Öffne auf dem Alexa Konto des anderen Elternteils Familien Punkte und sag: Familiencode {code}. Der Code funktioniert einmal, für die nächsten {count} Stunden.',
+  'join.ask':
+    'Sag bitte: Familiencode, und dann die vier Ziffern, die der andere Elternteil bei teile meine Familie gehört hat.',
+  'join.notFound':
+    'Ich habe keine Familie mit dem Code {code} gefunden. Bitte den anderen Elternteil, für einen neuen Code teile meine Familie zu sagen.',
+  'join.locked':
+    'Mit diesem Konto wurden zu viele falsche Familiencodes versucht. Bitte versuch es morgen noch einmal.',
+  'join.own':
+    'Das ist der Code deiner eigenen Familie. Sag ihn stattdessen auf dem Alexa Konto des anderen Elternteils.',
+  'join.shared':
+    'Andere Konten teilen bereits deine Familie, deshalb kann dieses Konto keiner anderen beitreten. Sag zuerst: hör auf, meine Familie zu teilen.',
+  'join.done':
+    'Okay, dieses Konto teilt jetzt die Familie. Ich zähle Punkte für {kids}.',
+  'join.replaced':
+    'Die Familie, die du vorher auf diesem Konto eingerichtet hast, wird nicht mehr verwendet.',
+  'stopSharing.left':
+    'Okay, dieses Konto teilt diese Familie nicht mehr. Um eine eigene einzurichten, sag: meine Kinder sind, und dann ihre Namen.',
+  'stopSharing.done': {
+    one: 'Okay, ich teile deine Familie nicht mehr. {count} anderes Konto hat keinen Zugriff mehr.',
+    other:
+      'Okay, ich teile deine Familie nicht mehr. {count} andere Konten haben keinen Zugriff mehr.',
+  },
+  'stopSharing.codeCancelled':
+    'Okay, dein Familiencode funktioniert nicht mehr. Es war noch kein anderes Konto beigetreten.',
+  'stopSharing.notShared':
+    'Deine Familie wird mit keinem anderen Konto geteilt.',
+
+  'delete.nothing': 'Für dieses Konto sind keine Familiendaten gespeichert.',
+  'delete.confirmMember':
+    'Dieses Konto nutzt eine Familie, die ein anderer Elternteil mit dir geteilt hat. Ich entferne dieses Konto daraus, und die Familie selbst bleibt bestehen. Soll ich fortfahren?',
+  'delete.confirmOwner':
+    'Damit werden deine Kinder, Einstellungen und alle erfassten Punkte gelöscht, für jedes Konto, das deine Familie teilt. Das lässt sich nicht rückgängig machen. Soll ich alles löschen?',
+  'delete.reprompt': 'Soll ich deine Daten löschen?',
+  'delete.kept': 'Okay, ich habe alles behalten.',
+  'delete.doneMember':
+    'Okay, ich habe dieses Konto aus der geteilten Familie entfernt und seine Daten gelöscht. Tschüss.',
+  'delete.doneOwner':
+    'Okay, ich habe alle deine Familiendaten gelöscht. Tschüss.',
+
+  'daily.askTime':
+    'Um wie viel Uhr soll ich die Zusammenfassung schicken? Sag zum Beispiel: schick mir jeden Abend um 7 eine Zusammenfassung.',
+  'daily.set':
+    'Okay, ich schicke dir jeden Tag um {time} die Punkteübersicht. Um sie abzustellen, sag: beende die tägliche Zusammenfassung.',
+  'daily.none':
+    'Für dieses Konto ist keine tägliche Zusammenfassung eingerichtet.',
+  'daily.morningHint':
+    'Falls du {time} gemeint hast, sag: schick mir jeden Morgen um {time} eine Zusammenfassung.',
+  'daily.stopped': 'Okay, ich habe die tägliche Zusammenfassung beendet.',
+  'daily.accepted':
+    'Danke. Ich schicke dir jeden Tag um {time} die Punkteübersicht.',
+  'daily.denied':
+    'Okay. Ohne die Erlaubnis für Erinnerungen kann ich die tägliche Zusammenfassung nicht schicken, deshalb habe ich sie abgestellt. Du kannst sie in der Alexa App erlauben.',
+
+  'homeCard.header': 'Familien Punkte',
+  'homeCard.today': 'Heute: {standings}',
+  'homeCard.week': 'Diese Woche: {standings}',
+  'homeCard.primary': 'Tippe für die Übersicht von heute',
+  'homeCard.secondary': 'Sieh nach, wer diese Woche vorne liegt',
+  'homeCard.attribution': 'Täglicher Punktezähler',
+  'homeCard.hint': 'Sag „{WakeWord}, öffne Familien Punkte“',
+};
@@ -0,0 +1,321 @@
+'use strict';
+
+module.exports = {
+  followUp: 'Anything else?',
+  points: { one: '{count} point', other: '{count} points' },
+  minusPoints: { one: 'minus {count} point', other: 'minus {count} points' },
+  defaultAdult: 'Parent',
+  // Regular expression alternatives that separate names in "my kids are".
+  kidsConjunctions: 'and',
+  // Words dropped from the start of a spoken reason.
+  reasonPrefixes: 'for|because|since',
+
+  welcome:
+    'Welcome to points tracking for your kids. State the name of all the kids. For example, say: my kids are Alex, Krish and Jasmine. If another parent already shared a family with you, say: join family code, and the code.',
+  askKidNames: "Please tell me your kids' names.",
+  help: "You can say: my kids are Anna and Ben. Or say: add a point for Anna. Or: undo that. Or: today's summary. Or: set my time zone to eastern time. Say done to exit.",
+  fallback:
+    'Sorry, I did not catch that. Try saying add a point, summary, or done.',
+  done: 'Okay.',
+  goodbye: 'Goodbye.',
+  error:
+    'Sorry, I had trouble doing that. Please check the skill configuration and try again.',
+
+  'period.today': 'today',
+  'period.week': 'this week',
+  'period.month': 'this month',
+  'previous.today': 'yesterday',
+  'previous.week': 'last week',
+  'previous.month': 'by this time last month',
+
+  'chart.last3Days': 'Last 3 Days',
+  'chart.last7Days': 'Last 7 Days',
+  'chart.thisMonth': 'This Month',
+  'chart.today': 'Today',
+  'chart.thisWeek': 'This Week',
+  'chart.fromAdult': '{title} from {adult}',
+  'chart.leaderboard': 'Leaderboard · {label}',
+  'chart.compare.today': 'Compared to yesterday',
+  'chart.compare.week': 'Compared to last week',
+  'chart.compare.month': 'Compared to this time last month',
+  'chart.balance': 'Balance {count}',
+  'chart.goal.day': '{progress}/{amount} this day',
+  'chart.goal.week': '{progress}/{amount} this week',
+  'chart.streak.day': '{count}-day streak',
+  'chart.streak.week': '{count}-week streak',
+  'chart.bestDay': 'Best day: {day}, {points}',
+  'chart.quietestDay': 'Quietest day: {day}, {points}',
+
+  'range.today': 'Today',
+  'range.yesterday': 'Yesterday',
+  'range.day': '{date}',
+  'range.thisWeek': 'This Week',
+  'range.lastWeek': 'Last Week',
+  'range.weekOf': 'Week of {date}',
+  'range.thisWeekend': 'This Weekend',
+  'range.weekendOf': 'Weekend of {date}',
+  'range.month': '{date}',
+  'range.year': '{date}',
+  'range.lastDays': 'Last {count} Days',
+  'rangePhrase.today': 'Today',
+  'rangePhrase.yesterday': 'Yesterday',
+  'rangePhrase.day': 'On {date}',
+  'rangePhrase.thisWeek': 'This Week',
+  'rangePhrase.lastWeek': 'Last Week',
+  'rangePhrase.weekOf': 'For the week of {date}',
+  'rangePhrase.thisWeekend': 'This Weekend',
+  'rangePhrase.weekendOf': 'For the weekend of {date}',
+  'rangePhrase.month': 'In {date}',
+  'rangePhrase.year': 'In {date}',
+  'rangePhrase.lastDays': 'Over the last {count} days',
+  'rangeError.unknown':
+    "Sorry, I can't summarize that. Try yesterday, last week, September or the last ten days.",
+  'rangeError.future':
+    'That has not happened yet. Try a day or range in the past.',
+  'rangeError.tooLong': 'I can summarize up to {count} days at a time.',
+
+  kidHas: '{kid} has {points}',
+  kidHad: '{kid} had {points}',
+  'summary.today': 'Today, {list}.',
+  'summary.week': 'The weekly summary is {list}.',
+  'summary.month': 'The monthly summary is {list}.',
+  'summary.range': '{phrase}, {list}.',
+  'summary.fromAdult': 'Counting only points from {adult}.',
+  'summary.notification': "Here is today's points summary. {summary}",
+  balance: 'To spend on rewards, {list}.',
+  'goal.day': 'daily',
+  'goal.week': 'weekly',
+  'goal.met': '{kid} hit the {goal} goal{streak}',
+  'goal.streak.day': ', {count} days in a row',
+  'goal.streak.week': ', {count} weeks in a row',
+  'goal.needs': {
+    one: '{kid} needs {count} more point{purpose}',
+    other: '{kid} needs {count} more points{purpose}',
+  },
+  'goal.keepStreak.day': ' to keep a {count}-day streak going',
+  'goal.keepStreak.week': ' to keep a {count}-week streak going',
+  'goal.reach': ' for the {goal} goal',
+
+  'kidSummary.ask':
+    'Which child would you like to hear about? You can say {kids}.',
+  'kidSummary.period': '{kid} has {points} {period}.',
+  'kidSummary.days':
+    'The best day was {best} with {bestPoints}, and the quietest was {worst} with {worstPoints}.',
+  'kidSummary.balance': '{kid} has {points} to spend on rewards.',
+
+  'leaderboard.single': '{intro}, {kid} has {points}.',
+  'leaderboard.tied': '{intro}, everyone is tied with {points}.',
+  'leaderboard.leader': '{kid} has the most with {points}',
+  'leaderboard.leaders': '{kids} are tied for the most with {points} each',
+  'leaderboard.other': '{kid} with {points}',
+  'leaderboard.others': '{kids} with {points} each',
+  'leaderboard.full': '{intro}, {lead}, then {others}.',
+
+  'compare.ask': 'Which child should I compare? You can say {kids}.',
+  'compare.base': '{kid} has {points} {period}',
+  'compare.same': '{base}, the same as {previous}',
+  'compare.up': 'up',
+  'compare.down': 'down',
+  'compare.percent': '{direction} {count} percent',
+  'compare.changed': '{base}, {change} from {points} {previous}',
+
+  'reasons.ask': 'Which child do you want to hear about? You can say {kids}.',
+  'reasons.none': '{kid} has no point changes {period}.',
+  'reasons.got': 'got {points} for {reason}',
+  'reasons.lost': 'lost {points} for {reason}',
+  'reasons.unexplained': {
+    one: 'had {count} change without a reason',
+    other: 'had {count} changes without a reason',
+  },
+  'reasons.summary': '{intro}, {kid} {list}. That makes {points}.',
+
+  'whoGave.none': "Nobody changed {kid}'s points {period}.",
+  'whoGave.gave': '{adult} gave {kid} {points}',
+  'whoGave.took': '{adult} took {points} from {kid}',
+  'whoGave.summary': '{intro}, {list}.',
+
+  'configure.noNames':
+    'Sorry, I did not catch the names. Please say: my kids are ...',
+  'configure.done':
+    'Great. I will track points for {kids}. You can say, add a point for {kid}.',
+  'addKid.ask': 'Who should I add? For example, say: add Maya to my kids.',
+  'addKid.exists': '{kid} is already on the list.',
+  'addKid.tooMany':
+    'I can track up to {count} kids. Remove someone first, then add {kid}.',
+  'addKid.done': 'Okay, I added {kid}. I now track {kids}.',
+  'removeKid.ask': 'Who should I remove? You can say {kids}.',
+  'removeKid.onlyOne':
+    '{kid} is the only child on the list. To start over, say: my kids are, followed by their names.',
+  'removeKid.confirm':
+    'Remove {kid} from your kids? Their past points stay in the log.',
+  'removeKid.reprompt': 'Should I remove {kid}?',
+  'removeKid.kept': 'Okay, I kept {kid}.',
+  'removeKid.done': 'Okay, I removed {kid}. I now track {kids}.',
+  'rename.ask':
+    'Tell me who to rename and the new name. For example, say: rename {kid} to Sam.',
+  'rename.done':
+    "Okay, {kid} is now {newName}, and {kid}'s past points moved over too.",
+
+  'nickname.ask':
+    "Which child and which nickname? You can say: {kid}'s nickname is Bug.",
+  'nickname.askRemove': 'Which nickname should I remove?',
+  'nickname.isKid': '{nickname} is already one of your kids.',
+  'nickname.taken': '{nickname} is already a nickname for {kid}.',
+  'nickname.tooMany': '{kid} already has {count} nicknames. Remove one first.',
+  'nickname.done': 'Okay, when you say {nickname}, I will know you mean {kid}.',
+  'nickname.unknown': '{nickname} is not one of the nicknames I know.',
+  'nickname.removed': 'Okay, {nickname} no longer means {kid}.',
+
+  'adjust.ask': 'Which child should I update? You can say {kids}.',
+  'adjust.checkKid': 'Did you mean {kid}?',
+  'adjust.large': 'That is a lot of points.',
+  'adjust.checkAdd': 'Should I add {count} points for {kids}?',
+  'adjust.checkReduce': 'Should I take away {count} points from {kids}?',
+  'adjust.amountAdd': 'How many points should I add for {kids}?',
+  'adjust.amountReduce': 'How many points should I take away from {kids}?',
+  'adjust.added': {
+    one: 'Okay, added {count} point for {kid}{reason}{when}.',
+    other: 'Okay, added {count} points for {kid}{reason}{when}.',
+  },
+  'adjust.reduced': {
+    one: 'Okay, reduced {count} point for {kid}{reason}{when}.',
+    other: 'Okay, reduced {count} points for {kid}{reason}{when}.',
+  },
+  'adjust.addedEach': {
+    one: 'Okay, added {count} point each for {kids}{reason}{when}.',
+    other: 'Okay, added {count} points each for {kids}{reason}{when}.',
+  },
+  'adjust.reducedEach': {
+    one: 'Okay, reduced {count} point each for {kids}{reason}{when}.',
+    other: 'Okay, reduced {count} points each for {kids}{reason}{when}.',
+  },
+  'adjust.reason': ' for {reason}',
+  'adjust.yesterday': ' yesterday',
+  'adjust.onDay': ' on {day}',
+  'adjust.kidToday': '{kid} has {points} today.',
+  'adjust.kidThatDay': '{kid} had {points} that day.',
+  'adjust.thatDay': 'That day, {list}.',
+  'entryError.unknown':
+    'Which day should I add them to? You can say yesterday or last Saturday.',
+  'entryError.notDay':
+    'Please pick a single day, like yesterday or last Saturday.',
+  'entryError.future': "I can't add points for a day that hasn't happened yet.",
+  'entryError.tooOld': 'I can only add points for the last {count} days.',
+
+  'undo.nothing': 'There is nothing to undo.',
+  'undo.note': 'Undo {change}',
+  'undo.redeem':
+    'Okay, I undid redeeming {reward} for {kid}. {kid} gets {points} back.',
+  'undo.added': {
+    one: 'Okay, I undid adding {count} point for {kid}{when}.',
+    other: 'Okay, I undid adding {count} points for {kid}{when}.',
+  },
+  'undo.reduced': {
+    one: 'Okay, I undid reducing {count} point for {kid}{when}.',
+    other: 'Okay, I undid reducing {count} points for {kid}{when}.',
+  },
+  'undo.addedEach': {
+    one: 'Okay, I undid adding {count} point each for {kids}{when}.',
+    other: 'Okay, I undid adding {count} points each for {kids}{when}.',
+  },
+  'undo.reducedEach': {
+    one: 'Okay, I undid reducing {count} point each for {kids}{when}.',
+    other: 'Okay, I undid reducing {count} points each for {kids}{when}.',
+  },
+
+  'reward.item': '{reward} for {points}',
+  'reward.ask':
+    'Tell me the reward and what it costs. For example, say: screen time costs 10 points.',
+  'reward.set':
+    'Okay, {reward} costs {points}. You can say, redeem {reward} for {kid}.',
+  'reward.notFound':
+    'I could not find that reward. Your rewards are {rewards}.',
+  'reward.noneSetUp': 'There are no rewards set up yet.',
+  'reward.removed': 'Okay, I removed {reward} from the rewards.',
+  'reward.list': 'The rewards are {rewards}.',
+  'reward.empty':
+    'There are no rewards yet. You can say, screen time costs 10 points.',
+  'redeem.askReward': 'Which reward? You can choose {rewards}.',
+  'redeem.askKid': 'Who is redeeming {reward}? You can say {kids}.',
+  'redeem.notEnough': '{kid} has {points}, but {reward} costs {cost}.',
+  'redeem.done':
+    'Okay, {kid} redeemed {reward} for {cost}. {kid} has {points} left.',
+
+  'setGoal.ask':
+    "Tell me the child and the goal. For example, say: {kid}'s goal is 5 points a day.",
+  'setGoal.cleared': 'Okay, {kid} no longer has a goal.',
+  'setGoal.day': "Okay, {kid}'s goal is {points} a day.",
+  'setGoal.week': "Okay, {kid}'s goal is {points} a week.",
+
+  'adult.unknown': "I don't know anyone called {adult}. I know {adults}.",
+  'adult.noVoice':
+    'I could not recognize your voice. Set up an Alexa voice profile in the Alexa app, then tell me your name again.',
+  'adult.ask': 'What should I call you? For example, say: I am Dad.',
+  'adult.done':
+    'Okay, {adult}. I will note your name on the points you give from now on.',
+
+  'timezone.unknown':
+    'Sorry, I do not know that time zone. You can say, set my time zone to eastern time.',
+  'timezone.device': 'your device time zone',
+  'timezone.done': 'Okay, I will use {timezone}. It is {time} there now.',
+
+  'share.code':
+    "Your family code is {code}. On the other parent's Alexa account, open Family Points and say: join family code {code}. The code works once, for the next {count} hours.",
+  'join.ask':
+    'Please say: join family code, followed by the four digits the other parent heard when they said share my family.',
+  'join.notFound':
+    'I could not find a family with code {code}. Ask the other parent to say: share my family, for a new code.',
+  'join.locked':
+    'Too many wrong family codes were tried on this account. Please try again tomorrow.',
+  'join.own':
+    "That is your own family's code. Say it on the other parent's Alexa account instead.",
+  'join.shared':
+    'Other accounts already share your family, so this account cannot join another one. Say stop sharing my family first.',
+  'join.done':
+    'Okay, this account now shares the family. I track points for {kids}.',
+  'join.replaced':
+    'The family you set up on this account before is no longer used.',
+  'stopSharing.left':
+    'Okay, this account no longer shares that family. To set up your own, say: my kids are, and their names.',
+  'stopSharing.done': {
+    one: 'Okay, I stopped sharing your family. {count} other account no longer has access.',
+    other:
+      'Okay, I stopped sharing your family. {count} other accounts no longer have access.',
+  },
+  'stopSharing.codeCancelled':
+    'Okay, your family code no longer works. No other accounts had joined.',
+  'stopSharing.notShared': 'Your family is not shared with any other account.',
+
+  'delete.nothing': 'There is no family data stored for this account.',
+  'delete.confirmMember':
+    'This account uses a family another parent shared with you. I will remove this account from it, and the family itself stays with them. Should I go ahead?',
+  'delete.confirmOwner':
+    "This deletes your kids, settings and every point you have recorded, for every account that shares your family. It can't be undone. Should I delete everything?",
+  'delete.reprompt': 'Should I delete your data?',
+  'delete.kept': 'Okay, I kept everything.',
+  'delete.doneMember':
+    'Okay, I removed this account from the shared family and deleted its data. Goodbye.',
+  'delete.doneOwner': 'Okay, I deleted all of your family data. Goodbye.',
+
+  'daily.askTime':
+    'What time should I send the summary? For example, say: send me a summary every evening at 7.',
+  'daily.set':
+    'Okay, I will send you the points summary every day at {time}. To turn it off, say: stop the daily summary.',
+  'daily.none': 'There is no daily summary set up for this account.',
+  'daily.morningHint':
+    'If you meant {time}, say: send me a summary every morning at {time}.',
+  'daily.stopped': 'Okay, I stopped the daily summary.',
+  'daily.accepted':
+    'Thanks. I will send you the points summary every day at {time}.',
+  'daily.denied':
+    'Okay. I need permission to set reminders to send the daily summary, so I turned it off. You can allow it in the Alexa app.',
+
+  // Shown on the Alexa home card rather than spoken.
+  'homeCard.header': 'Family Points',
+  'homeCard.today': '{standings} today',
+  'homeCard.week': 'This week: {standings}',
+  'homeCard.primary': "Tap for today's summary",
+  'homeCard.secondary': 'See who is ahead this week',
+  'homeCard.attribution': 'Daily tracker',
+  'homeCard.hint': 'Try "{WakeWord}, points today"',
+};
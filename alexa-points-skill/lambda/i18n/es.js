@@ -0,0 +1,333 @@
+'use strict';
+
+module.exports = {
+  followUp: '¿Algo más?',
+  points: { one: '{count} punto', other: '{count} puntos' },
+  minusPoints: { one: 'menos {count} punto', other: 'menos {count} puntos' },
+  defaultAdult: 'Adulto',
+  kidsConjunctions: 'y|e',
+  reasonPrefixes: 'por|porque|para',
+
+  welcome:
+    'Te doy la bienvenida al registro de puntos de tus hijos. Di el nombre de todos los niños. Por ejemplo, di: mis hijos son Alex, Krish y Jazmín. Si otro padre o madre ya compartió una familia contigo, di: código de familia, y el código.',
+  askKidNames: 'Dime los nombres de tus hijos, por favor.',
+  help: 'Puedes decir: mis hijos son Ana y Beto. O: un punto para Ana. O: deshaz eso. O: resumen de hoy. O: cambia mi zona horaria a hora de Madrid. Di listo para salir.',
+  fallback:
+    'Perdona, no lo he entendido. Prueba a decir: un punto para Ana, resumen o listo.',
+  done: 'Vale.',
+  goodbye: 'Adiós.',
+  error:
+    'Perdona, he tenido un problema. Revisa la configuración de la skill e inténtalo de nuevo.',
+
+  'period.today': 'hoy',
+  'period.week': 'esta semana',
+  'period.month': 'este mes',
+  'previous.today': 'ayer',
+  'previous.week': 'la semana pasada',
+  'previous.month': 'el mismo periodo del mes pasado',
+
+  'chart.last3Days': 'Últimos 3 días',
+  'chart.last7Days': 'Últimos 7 días',
+  'chart.thisMonth': 'Este mes',
+  'chart.today': 'Hoy',
+  'chart.thisWeek': 'Esta semana',
+  'chart.fromAdult': '{title} de {adult}',
+  'chart.leaderboard': 'Clasificación · {label}',
+  'chart.compare.today': 'Comparado con ayer',
+  'chart.compare.week': 'Comparado con la semana pasada',
+  'chart.compare.month': 'Comparado con el mes pasado',
+  'chart.balance': 'Saldo {count}',
+  'chart.goal.day': '{progress}/{amount} hoy',
+  'chart.goal.week': '{progress}/{amount} esta semana',
+  'chart.streak.day': {
+    one: '{count} día seguido',
+    other: '{count} días seguidos',
+  },
+  'chart.streak.week': {
+    one: '{count} semana seguida',
+    other: '{count} semanas seguidas',
+  },
+  'chart.bestDay': 'Mejor día: {day}, {points}',
+  'chart.quietestDay': 'Día más flojo: {day}, {points}',
+
+  'range.today': 'Hoy',
+  'range.yesterday': 'Ayer',
+  'range.day': '{date}',
+  'range.thisWeek': 'Esta semana',
+  'range.lastWeek': 'La semana pasada',
+  'range.weekOf': 'Semana del {date}',
+  'range.thisWeekend': 'Este fin de semana',
+  'range.weekendOf': 'Fin de semana del {date}',
+  'range.month': '{date}',
+  'range.year': '{date}',
+  'range.lastDays': 'Últimos {count} días',
+  'rangePhrase.today': 'Hoy',
+  'rangePhrase.yesterday': 'Ayer',
+  'rangePhrase.day': 'El {date}',
+  'rangePhrase.thisWeek': 'Esta semana',
+  'rangePhrase.lastWeek': 'La semana pasada',
+  'rangePhrase.weekOf': 'La semana del {date}',
+  'rangePhrase.thisWeekend': 'Este fin de semana',
+  'rangePhrase.weekendOf': 'El fin de semana del {date}',
+  'rangePhrase.month': 'En {date}',
+  'rangePhrase.year': 'En {date}',
+  'rangePhrase.lastDays': 'En los últimos {count} días',
+  'rangeError.unknown':
+    'Perdona, no puedo resumir eso. Prueba con ayer, la semana pasada, septiembre o los últimos diez días.',
+  'rangeError.future':
+    'Eso todavía no ha pasado. Prueba con un día o un periodo anterior.',
+  'rangeError.tooLong': 'Puedo resumir hasta {count} días de una vez.',
+
+  kidHas: '{kid} tiene {points}',
+  kidHad: '{kid} tenía {points}',
+  'summary.today': 'Hoy, {list}.',
+  'summary.week': 'El resumen de la semana: {list}.',
+  'summary.month': 'El resumen del mes: {list}.',
+  'summary.range': '{phrase}, {list}.',
+  'summary.fromAdult': 'Solo cuento los puntos de {adult}.',
+  'summary.notification': 'Aquí tienes el resumen de puntos de hoy. {summary}',
+  balance: 'Para gastar en recompensas, {list}.',
+  'goal.day': 'diario',
+  'goal.week': 'semanal',
+  'goal.met': '{kid} ha cumplido el objetivo {goal}{streak}',
+  'goal.streak.day': ', {count} días seguidos',
+  'goal.streak.week': ', {count} semanas seguidas',
+  'goal.needs': {
+    one: 'a {kid} le falta {count} punto{purpose}',
+    other: 'a {kid} le faltan {count} puntos{purpose}',
+  },
+  'goal.keepStreak.day': {
+    one: ' para mantener la racha de {count} día',
+    other: ' para mantener la racha de {count} días',
+  },
+  'goal.keepStreak.week': {
+    one: ' para mantener la racha de {count} semana',
+    other: ' para mantener la racha de {count} semanas',
+  },
+  'goal.reach': ' para el objetivo {goal}',
+
+  'kidSummary.ask': '¿De qué niño quieres saber? Puedes decir {kids}.',
+  'kidSummary.period': '{kid} tiene {points} {period}.',
+  'kidSummary.days':
+    'El mejor día fue el {best} con {bestPoints}, y el más flojo el {worst} con {worstPoints}.',
+  'kidSummary.balance': '{kid} tiene {points} para gastar en recompensas.',
+
+  'leaderboard.single': '{intro}, {kid} tiene {points}.',
+  'leaderboard.tied': '{intro}, todos empatan con {points}.',
+  'leaderboard.leader': '{kid} va primero con {points}',
+  'leaderboard.leaders': '{kids} empatan en cabeza con {points} cada uno',
+  'leaderboard.other': '{kid} con {points}',
+  'leaderboard.others': '{kids} con {points} cada uno',
+  'leaderboard.full': '{intro}, {lead}, y después {others}.',
+
+  'compare.ask': '¿A qué niño comparo? Puedes decir {kids}.',
+  'compare.base': '{kid} tiene {points} {period}',
+  'compare.same': '{base}, lo mismo que {previous}',
+  'compare.up': 'más',
+  'compare.down': 'menos',
+  'compare.percent': 'un {count} por ciento {direction}',
+  'compare.changed': '{base}, {change} que {previous}, cuando tenía {points}',
+
+  'reasons.ask': '¿De qué niño quieres saber? Puedes decir {kids}.',
+  'reasons.none': '{kid} no tiene cambios de puntos {period}.',
+  'reasons.got': 'ganó {points} por {reason}',
+  'reasons.lost': 'perdió {points} por {reason}',
+  'reasons.unexplained': {
+    one: 'tuvo {count} cambio sin motivo',
+    other: 'tuvo {count} cambios sin motivo',
+  },
+  'reasons.summary': '{intro}, {kid} {list}. En total, {points}.',
+
+  'whoGave.none': 'Nadie ha cambiado los puntos de {kid} {period}.',
+  'whoGave.gave': '{adult} le dio {points} a {kid}',
+  'whoGave.took': '{adult} le quitó {points} a {kid}',
+  'whoGave.summary': '{intro}, {list}.',
+
+  'configure.noNames':
+    'Perdona, no he entendido los nombres. Di: mis hijos son ...',
+  'configure.done':
+    'Genial. Llevaré los puntos de {kids}. Puedes decir: un punto para {kid}.',
+  'addKid.ask': '¿A quién añado? Por ejemplo, di: añade a Maya a mis hijos.',
+  'addKid.exists': '{kid} ya está en la lista.',
+  'addKid.tooMany':
+    'Puedo llevar hasta {count} niños. Quita a alguien primero y luego añade a {kid}.',
+  'addKid.done': 'Vale, he añadido a {kid}. Ahora llevo los puntos de {kids}.',
+  'removeKid.ask': '¿A quién quito? Puedes decir {kids}.',
+  'removeKid.onlyOne':
+    '{kid} es el único niño de la lista. Para empezar de nuevo, di: mis hijos son, y sus nombres.',
+  'removeKid.confirm':
+    '¿Quito a {kid} de tus hijos? Sus puntos anteriores se quedan en el registro.',
+  'removeKid.reprompt': '¿Quito a {kid}?',
+  'removeKid.kept': 'Vale, {kid} se queda.',
+  'removeKid.done':
+    'Vale, he quitado a {kid}. Ahora llevo los puntos de {kids}.',
+  'rename.ask':
+    'Dime a quién le cambio el nombre y el nombre nuevo. Por ejemplo, di: cambia el nombre de {kid} a Sam.',
+  'rename.done':
+    'Vale, {kid} ahora se llama {newName}, y sus puntos anteriores pasan con el nuevo nombre.',
+
+  'nickname.ask':
+    '¿Para qué niño y qué apodo? Puedes decir: el apodo de {kid} es Peque.',
+  'nickname.askRemove': '¿Qué apodo quito?',
+  'nickname.isKid': '{nickname} ya es el nombre de uno de tus hijos.',
+  'nickname.taken': '{nickname} ya es un apodo de {kid}.',
+  'nickname.tooMany': '{kid} ya tiene {count} apodos. Quita uno primero.',
+  'nickname.done':
+    'Vale, cuando digas {nickname}, sabré que te refieres a {kid}.',
+  'nickname.unknown': 'No conozco el apodo {nickname}.',
+  'nickname.removed': 'Vale, {nickname} ya no se refiere a {kid}.',
+
+  'adjust.ask': '¿A qué niño actualizo? Puedes decir {kids}.',
+  'adjust.checkKid': '¿Te refieres a {kid}?',
+  'adjust.large': 'Son muchos puntos.',
+  'adjust.checkAdd': '¿Sumo {count} puntos a {kids}?',
+  'adjust.checkReduce': '¿Resto {count} puntos a {kids}?',
+  'adjust.amountAdd': '¿Cuántos puntos sumo a {kids}?',
+  'adjust.amountReduce': '¿Cuántos puntos resto a {kids}?',
+  'adjust.added': {
+    one: 'Vale, he sumado {count} punto a {kid}{reason}{when}.',
+    other: 'Vale, he sumado {count} puntos a {kid}{reason}{when}.',
+  },
+  'adjust.reduced': {
+    one: 'Vale, he restado {count} punto a {kid}{reason}{when}.',
+    other: 'Vale, he restado {count} puntos a {kid}{reason}{when}.',
+  },
+  'adjust.addedEach': {
+    one: 'Vale, {kids} reciben {count} punto cada uno{reason}{when}.',
+    other: 'Vale, {kids} reciben {count} puntos cada uno{reason}{when}.',
+  },
+  'adjust.reducedEach': {
+    one: 'Vale, {kids} pierden {count} punto cada uno{reason}{when}.',
+    other: 'Vale, {kids} pierden {count} puntos cada uno{reason}{when}.',
+  },
+  'adjust.reason': ' por {reason}',
+  'adjust.yesterday': ' ayer',
+  'adjust.onDay': ' el {day}',
+  'adjust.kidToday': '{kid} tiene {points} hoy.',
+  'adjust.kidThatDay': '{kid} tenía {points} ese día.',
+  'adjust.thatDay': 'Ese día, {list}.',
+  'entryError.unknown':
+    '¿A qué día los añado? Puedes decir ayer o el sábado pasado.',
+  'entryError.notDay': 'Elige un solo día, como ayer o el sábado pasado.',
+  'entryError.future':
+    'No puedo añadir puntos a un día que todavía no ha llegado.',
+  'entryError.tooOld': 'Solo puedo añadir puntos de los últimos {count} días.',
+
+  'undo.nothing': 'No hay nada que deshacer.',
+  'undo.note': 'Deshecho: {change}',
+  'undo.redeem':
+    'Vale, he deshecho el canje de {reward} de {kid}. {kid} recupera {points}.',
+  'undo.added': {
+    one: 'Vale, he deshecho el punto sumado a {kid}{when}.',
+    other: 'Vale, he deshecho los {count} puntos sumados a {kid}{when}.',
+  },
+  'undo.reduced': {
+    one: 'Vale, he deshecho el punto restado a {kid}{when}.',
+    other: 'Vale, he deshecho los {count} puntos restados a {kid}{when}.',
+  },
+  'undo.addedEach': {
+    one: 'Vale, he deshecho el punto sumado a cada uno{when}: {kids}.',
+    other:
+      'Vale, he deshecho los {count} puntos sumados a cada uno{when}: {kids}.',
+  },
+  'undo.reducedEach': {
+    one: 'Vale, he deshecho el punto restado a cada uno{when}: {kids}.',
+    other:
+      'Vale, he deshecho los {count} puntos restados a cada uno{when}: {kids}.',
+  },
+
+  'reward.item': '{reward} por {points}',
+  'reward.ask':
+    'Dime la recompensa y lo que cuesta. Por ejemplo, di: tiempo de pantalla cuesta 10 puntos.',
+  'reward.set':
+    'Vale, {reward} cuesta {points}. Puedes decir: canjea {reward} para {kid}.',
+  'reward.notFound':
+    'No he encontrado esa recompensa. Tus recompensas son {rewards}.',
+  'reward.noneSetUp': 'Todavía no hay recompensas.',
+  'reward.removed': 'Vale, he quitado {reward} de las recompensas.',
+  'reward.list': 'Las recompensas son {rewards}.',
+  'reward.empty':
+    'Todavía no hay recompensas. Puedes decir: tiempo de pantalla cuesta 10 puntos.',
+  'redeem.askReward': '¿Qué recompensa? Puedes elegir {rewards}.',
+  'redeem.askKid': '¿Quién canjea {reward}? Puedes decir {kids}.',
+  'redeem.notEnough': '{kid} tiene {points}, pero {reward} cuesta {cost}.',
+  'redeem.done':
+    'Vale, {kid} ha canjeado {reward} por {cost}. {kid} todavía tiene {points}.',
+
+  'setGoal.ask':
+    'Dime el niño y el objetivo. Por ejemplo, di: el objetivo de {kid} es 5 puntos al día.',
+  'setGoal.cleared': 'Vale, {kid} ya no tiene objetivo.',
+  'setGoal.day': 'Vale, el objetivo de {kid} es {points} al día.',
+  'setGoal.week': 'Vale, el objetivo de {kid} es {points} a la semana.',
+
+  'adult.unknown': 'No conozco a nadie llamado {adult}. Conozco a {adults}.',
+  'adult.noVoice':
+    'No he reconocido tu voz. Configura un perfil de voz en la app de Alexa y luego dime tu nombre otra vez.',
+  'adult.ask': '¿Cómo te llamo? Por ejemplo, di: soy papá.',
+  'adult.done':
+    'Vale, {adult}. A partir de ahora anotaré tu nombre en los puntos que des.',
+
+  'timezone.unknown':
+    'Perdona, no conozco esa zona horaria. Puedes decir: cambia mi zona horaria a hora de Madrid.',
+  'timezone.device': 'la zona horaria de tu dispositivo',
+  'timezone.done': 'Vale, usaré {timezone}. Allí son las {time}.',
+
+  'share.code':
+    'Tu código de familia es {code}. En la cuenta de Alexa de la otra persona, abre Puntos de Familia y di: código de familia {code}. El código funciona una vez, durante las próximas {count} horas.',
+  'join.ask':
+    'Di: código de familia, seguido de los cuatro dígitos que oyó la otra persona al decir comparte mi familia.',
+  'join.notFound':
+    'No he encontrado ninguna familia con el código {code}. Pide a la otra persona que diga: comparte mi familia, para tener un código nuevo.',
+  'join.locked':
+    'Se han probado demasiados códigos de familia incorrectos en esta cuenta. Vuelve a intentarlo mañana.',
+  'join.own':
+    'Ese es el código de tu propia familia. Dilo en la cuenta de Alexa de la otra persona.',
+  'join.shared':
+    'Otras cuentas ya comparten tu familia, así que esta cuenta no puede unirse a otra. Primero di: deja de compartir mi familia.',
+  'join.done':
+    'Vale, esta cuenta ahora comparte la familia. Llevo los puntos de {kids}.',
+  'join.replaced':
+    'La familia que configuraste antes en esta cuenta ya no se usa.',
+  'stopSharing.left':
+    'Vale, esta cuenta ya no comparte esa familia. Para configurar la tuya, di: mis hijos son, y sus nombres.',
+  'stopSharing.done': {
+    one: 'Vale, he dejado de compartir tu familia. {count} cuenta más ya no tiene acceso.',
+    other:
+      'Vale, he dejado de compartir tu familia. {count} cuentas más ya no tienen acceso.',
+  },
+  'stopSharing.codeCancelled':
+    'Vale, tu código de familia ya no funciona. Ninguna otra cuenta se había unido.',
+  'stopSharing.notShared': 'Tu familia no se comparte con ninguna otra cuenta.',
+
+  'delete.nothing': 'No hay datos de familia guardados para esta cuenta.',
+  'delete.confirmMember':
+    'Esta cuenta usa una familia que otra persona compartió contigo. Quitaré esta cuenta de ella, y la familia seguirá con esa persona. ¿Continúo?',
+  'delete.confirmOwner':
+    'Esto borra a tus hijos, los ajustes y todos los puntos registrados, para todas las cuentas que comparten tu familia. No se puede deshacer. ¿Lo borro todo?',
+  'delete.reprompt': '¿Borro tus datos?',
+  'delete.kept': 'Vale, lo he dejado todo como estaba.',
+  'delete.doneMember':
+    'Vale, he quitado esta cuenta de la familia compartida y he borrado sus datos. Adiós.',
+  'delete.doneOwner': 'Vale, he borrado todos los datos de tu familia. Adiós.',
+
+  'daily.askTime':
+    '¿A qué hora te envío el resumen? Por ejemplo, di: envíame un resumen cada tarde a las 7.',
+  'daily.set':
+    'Vale, te enviaré el resumen de puntos todos los días a las {time}. Para desactivarlo, di: para el resumen diario.',
+  'daily.none': 'No hay ningún resumen diario configurado para esta cuenta.',
+  'daily.morningHint':
+    'Si querías decir las {time}, di: envíame un resumen cada mañana a las {time}.',
+  'daily.stopped': 'Vale, he desactivado el resumen diario.',
+  'daily.accepted':
+    'Gracias. Te enviaré el resumen de puntos todos los días a las {time}.',
+  'daily.denied':
+    'Vale. Necesito permiso para crear recordatorios y enviarte el resumen diario, así que lo he desactivado. Puedes permitirlo en la app de Alexa.',
+
+  'homeCard.header': 'Puntos de Familia',
+  'homeCard.today': 'Hoy: {standings}',
+  'homeCard.week': 'Esta semana: {standings}',
+  'homeCard.primary': 'Toca para ver el resumen de hoy',
+  'homeCard.secondary': 'Mira quién va primero esta semana',
+  'homeCard.attribution': 'Registro diario',
+  'homeCard.hint': 'Prueba "{WakeWord}, abre Puntos de Familia"',
+};
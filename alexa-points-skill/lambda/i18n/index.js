@@ -0,0 +1,47 @@
+'use strict';
+
+const CATALOGS = {
+  en: require('./en'),
+  de: require('./de'),
+  es: require('./es'),
+};
+
+const DEFAULT_LOCALE = 'en-US';
+
+function fillParams(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+// Catalogs are keyed by language, so every English locale shares en.js.
+// Entries are strings with {name} placeholders, or sets of plural forms
+// chosen by the `count` parameter with the locale's plural rules. Keys a
+// catalog is missing fall back to English.
+function createTranslator(locale) {
+  const language = (locale || '').split('-')[0];
+  const resolved = CATALOGS[language] ? locale : DEFAULT_LOCALE;
+  const catalog = CATALOGS[language] || CATALOGS.en;
+  const plurals = new Intl.PluralRules(resolved);
+  const lists = new Intl.ListFormat(resolved, { type: 'conjunction' });
+
+  function t(key, params = {}) {
+    let entry = key in catalog ? catalog[key] : CATALOGS.en[key];
+    if (entry === undefined) {
+      throw new Error(`Missing message: ${key}`);
+    }
+    if (typeof entry === 'object') {
+      entry = entry[plurals.select(params.count)] || entry.other;
+    }
+    return fillParams(entry, params);
+  }
+
+  t.locale = resolved;
+  t.list = (items) => lists.format(items);
+  return t;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  createTranslator,
+};
@@ -1,42 +1,67 @@
 'use strict';
 
 const Alexa = require('ask-sdk-core');
-const AWS = require('aws-sdk');
 const crypto = require('crypto');
-const { google } = require('googleapis');
-const { DateTime } = require('luxon');
+const doubleMetaphone = require('double-metaphone');
+const { DateTime, Duration } = require('luxon');
 const APL_DOC = require('./apl/trend.json');
-
-const TIMEZONE = 'Europe/Oslo';
-const SHEET_ID = process.env.GOOGLE_SHEET_ID;
-const SECRET_NAME = process.env.GOOGLE_SA_SECRET_NAME;
-const SECRET_REGION =
-  process.env.GOOGLE_SA_SECRET_REGION || process.env.AWS_REGION || 'eu-west-1';
-const FAMILIES_TAB = process.env.GOOGLE_FAMILIES_TAB || 'Families';
+const LEADERBOARD_DOC = require('./apl/leaderboard.json');
+const KID_DOC = require('./apl/kid.json');
+const { getStore } = require('./storage');
+const { createTranslator } = require('./i18n');
+const {
+  FAMILY_CONFLICT,
+  toInt,
+  isAggregate,
+  collectRedemptionRefs,
+  isRedemption,
+} = require('./storage/util');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Oslo';
 const EVENTS_TAB_PREFIX = process.env.GOOGLE_EVENTS_TAB_PREFIX || 'Family_';
 
 const MAX_BAR_HEIGHT = 200;
 const SPARK_MAX_HEIGHT = 60;
 const MAX_KIDS = 6;
-const EVENTS_HEADER = [
-  'timestamp_iso',
-  'date',
-  'person',
-  'delta',
-  'who',
-  'note',
-];
-const FAMILIES_HEADER = ['user_id', 'tab_name', 'kids', 'created_at', 'updated_at'];
-
-let sheetsClientPromise = null;
+const MAX_NICKNAMES = 5;
+const MAX_SUMMARY_DAYS = 92;
+const MAX_BACKDATE_DAYS = 30;
+// Adjustments bigger than this are read back before they are saved.
+const CONFIRM_POINTS_ABOVE = 20;
+const MAX_SAVE_ATTEMPTS = 3;
+const INVITE_TTL_HOURS = 24;
+// Wrong family codes an account may try before joining is locked, for as
+// long as a code lives, so codes can't be guessed by trying them all.
+const MAX_JOIN_FAILURES = 5;
+const REMINDERS_PERMISSION = 'alexa::alerts:reminders:skill:readwrite';
+const DEFAULT_SUMMARY_TIME = '19:00';
+const SUMMARY_REMINDER_DELAY_SECONDS = 30;
+const SUMMARY_TIMES_OF_DAY = {
+  MO: '08:00',
+  AF: '16:00',
+  EV: '19:00',
+  NI: '20:00',
+};
+// Events from an adult without a voice profile are stored under this name
+// whatever the locale, and it is only translated when spoken.
+const DEFAULT_ADULT = 'Parent';
+
+// Date labels are Intl formats, so they follow the request's locale.
+const DATE_SHORT = { month: 'short', day: 'numeric' };
+const DATE_LONG = { month: 'long', day: 'numeric' };
+const DAY_OF_MONTH = { day: 'numeric' };
+const WEEKDAY_SHORT = { weekday: 'short' };
+const WEEKDAY_LONG = { weekday: 'long' };
+const WEEKDAY_DATE_SHORT = { weekday: 'short', month: 'short', day: 'numeric' };
+const WEEKDAY_DATE_LONG = { weekday: 'long', month: 'long', day: 'numeric' };
+const MONTH_LONG = { month: 'long' };
+const MONTH_YEAR = { month: 'long', year: 'numeric' };
+const YEAR = { year: 'numeric' };
+const HOUR = { hour: 'numeric' };
+const HOUR_MINUTE = { hour: 'numeric', minute: '2-digit' };
 
 function ensureConfig() {
-  if (!SHEET_ID) {
-    throw new Error('Missing GOOGLE_SHEET_ID env var');
-  }
-  if (!SECRET_NAME) {
-    throw new Error('Missing GOOGLE_SA_SECRET_NAME env var');
-  }
+  getStore();
 }
 
 function getUserId(handlerInput) {
@@ -48,6 +73,40 @@ function getUserId(handlerInput) {
   );
 }
 
+// Alexa resends a request with the same id when it times out waiting for
+// the skill, so events are tagged with it and written at most once.
+function getRequestId(handlerInput) {
+  return (
+    (handlerInput.requestEnvelope.request &&
+      handlerInput.requestEnvelope.request.requestId) ||
+    ''
+  );
+}
+
+function getPersonId(handlerInput) {
+  return (
+    handlerInput.requestEnvelope.context &&
+    handlerInput.requestEnvelope.context.System &&
+    handlerInput.requestEnvelope.context.System.person &&
+    handlerInput.requestEnvelope.context.System.person.personId
+  );
+}
+
+function getAdultName(handlerInput, config) {
+  const personId = getPersonId(handlerInput);
+  return (
+    (personId && config.adults && config.adults[personId]) || DEFAULT_ADULT
+  );
+}
+
+function speakAdult(t, adult) {
+  return adult === DEFAULT_ADULT ? t('defaultAdult') : adult;
+}
+
+function getTranslator(handlerInput) {
+  return createTranslator(Alexa.getLocale(handlerInput.requestEnvelope));
+}
+
 function hashUserId(userId) {
   return crypto.createHash('sha256').update(userId).digest('hex').slice(0, 10);
 }
@@ -56,203 +115,291 @@ function buildFamilyTabName(userId) {
   return `${EVENTS_TAB_PREFIX}${hashUserId(userId)}`;
 }
 
-async function getServiceAccountCredentials() {
-  const secrets = new AWS.SecretsManager({ region: SECRET_REGION });
-  const data = await secrets.getSecretValue({ SecretId: SECRET_NAME }).promise();
-  if (!data.SecretString) {
-    throw new Error('SecretString not found in Secrets Manager response');
-  }
+function isValidTimezone(timezone) {
+  return Boolean(timezone) && DateTime.now().setZone(timezone).isValid;
+}
+
+function getFamilyTimezone(config) {
+  return config && isValidTimezone(config.timezone)
+    ? config.timezone
+    : DEFAULT_TIMEZONE;
+}
+
+// Passing a translator makes the result format dates in its locale.
+function nowForFamily(config, t = null) {
+  const now = DateTime.now().setZone(getFamilyTimezone(config));
+  return t ? now.setLocale(t.locale) : now;
+}
+
+async function getDeviceTimezone(handlerInput) {
+  const deviceId = Alexa.getDeviceId(handlerInput.requestEnvelope);
+  if (!deviceId || !handlerInput.serviceClientFactory) return null;
 
-  let creds = null;
   try {
-    creds = JSON.parse(data.SecretString);
+    const upsClient = handlerInput.serviceClientFactory.getUpsServiceClient();
+    const timezone = await upsClient.getSystemTimeZone(deviceId);
+    return isValidTimezone(timezone) ? timezone : null;
   } catch (err) {
-    throw new Error('SecretString must be valid JSON');
-  }
-
-  if (creds.service_account) {
-    creds = creds.service_account;
+    console.error(`Device time zone lookup failed: ${err.message}`);
+    return null;
   }
-
-  return creds;
 }
 
-async function getSheetsClient() {
-  if (!sheetsClientPromise) {
-    sheetsClientPromise = (async () => {
-      const credentials = await getServiceAccountCredentials();
-      const auth = new google.auth.GoogleAuth({
-        credentials,
-        scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-      });
-      const client = await auth.getClient();
-      return google.sheets({ version: 'v4', auth: client });
-    })();
-  }
-  return sheetsClientPromise;
+function familyFromRecord(row) {
+  return {
+    userId: row.userId,
+    rowIndex: row.rowIndex,
+    version: toInt(row.version),
+    tabName: row.tabName,
+    createdAt: row.createdAt,
+    kids: parseKidsList(row.kids),
+    timezone: row.timezone || '',
+    rewards: parseRewardsList(row.rewards),
+    goals: parseGoalsList(row.goals),
+    adults: parseAdultsList(row.adults),
+    nicknames: parseNicknamesList(row.nicknames),
+    owner: row.owner || '',
+    inviteCode: row.inviteCode || '',
+    inviteExpires: row.inviteExpires || '',
+    homeCardId: row.homeCardId || '',
+    homeCardExpires: row.homeCardExpires || '',
+    homeCardHash: row.homeCardHash || '',
+    joinFailures: toInt(row.joinFailures),
+    joinLockedUntil: row.joinLockedUntil || '',
+    summaryTime: row.summaryTime || '',
+    summaryLocale: row.summaryLocale || '',
+    summarySent: row.summarySent || '',
+  };
 }
 
-async function getSheetNames() {
-  const sheets = await getSheetsClient();
-  const res = await sheets.spreadsheets.get({
-    spreadsheetId: SHEET_ID,
-    fields: 'sheets.properties.title',
-  });
-  const list = res.data.sheets || [];
-  return list.map((s) => s.properties.title);
+function familyToRecord(config, now) {
+  return {
+    userId: config.userId,
+    tabName: config.tabName,
+    kids: config.kids.join(', '),
+    createdAt: config.createdAt || now,
+    updatedAt: now,
+    timezone: config.timezone || '',
+    rewards: formatRewardsList(config.rewards || []),
+    goals: formatGoalsList(config.goals || {}),
+    adults: formatAdultsList(config.adults || {}),
+    nicknames: formatNicknamesList(config.nicknames || {}),
+    owner: config.owner || '',
+    inviteCode: config.inviteCode || '',
+    inviteExpires: config.inviteExpires || '',
+    homeCardId: config.homeCardId || '',
+    homeCardExpires: config.homeCardExpires || '',
+    homeCardHash: config.homeCardHash || '',
+    joinFailures: config.joinFailures || 0,
+    joinLockedUntil: config.joinLockedUntil || '',
+    summaryTime: config.summaryTime || '',
+    summaryLocale: config.summaryLocale || '',
+    summarySent: config.summarySent || '',
+  };
 }
 
-async function ensureSheetExists(sheetName) {
-  const names = await getSheetNames();
-  if (names.includes(sheetName)) return;
+// The family record is kept in session attributes so later turns of the
+// same session don't read the Families sheet again. Requests outside a
+// session, such as skill messages, have nowhere to keep it.
+function cacheFamilyRecord(handlerInput, record) {
+  if (!handlerInput || !handlerInput.requestEnvelope.session) return;
+  const attributes = handlerInput.attributesManager.getSessionAttributes();
+  if (record) {
+    attributes.family = record;
+    attributes.familyUserId = getUserId(handlerInput);
+  } else {
+    delete attributes.family;
+    delete attributes.familyUserId;
+  }
+  handlerInput.attributesManager.setSessionAttributes(attributes);
+}
 
-  const sheets = await getSheetsClient();
-  await sheets.spreadsheets.batchUpdate({
-    spreadsheetId: SHEET_ID,
-    requestBody: {
-      requests: [{ addSheet: { properties: { title: sheetName } } }],
-    },
-  });
+function mergeKidLists(rows) {
+  const kids = [];
+  for (const row of rows) {
+    for (const kid of parseKidsList(row.kids)) {
+      if (!kids.find((k) => k.toLowerCase() === kid.toLowerCase())) {
+        kids.push(kid);
+      }
+    }
+  }
+  return kids.slice(0, MAX_KIDS);
 }
 
-async function ensureHeaderRow(sheetName, header) {
-  const sheets = await getSheetsClient();
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: `${sheetName}!A1:Z1`,
-  });
+// Two devices setting up at the same moment can each append a row for the
+// same user. The most recently updated row is kept, topped up with
+// anything only the others had, and the others are removed.
+async function loadFamilyRecord(userId) {
+  const store = getStore();
+  const rows = await store.findFamilies(userId);
+  if (rows.length <= 1) return rows[0] || null;
 
-  const row = res.data.values && res.data.values[0];
-  if (!row || row.length === 0) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SHEET_ID,
-      range: `${sheetName}!A1:${String.fromCharCode(64 + header.length)}1`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [header] },
-    });
+  const [primary, ...others] = [...rows].sort((a, b) =>
+    (b.updatedAt || '').localeCompare(a.updatedAt || '')
+  );
+  const merged = { ...primary, kids: mergeKidLists(rows).join(', ') };
+  for (const field of ['timezone', 'rewards', 'goals', 'adults', 'nicknames']) {
+    if (merged[field]) continue;
+    const donor = others.find((row) => row[field]);
+    if (donor) merged[field] = donor[field];
   }
-}
+  merged.createdAt = rows
+    .map((row) => row.createdAt)
+    .filter((createdAt) => createdAt)
+    .sort()[0];
 
-async function ensureFamiliesSheet() {
-  await ensureSheetExists(FAMILIES_TAB);
-  await ensureHeaderRow(FAMILIES_TAB, FAMILIES_HEADER);
+  try {
+    await store.saveFamily(merged, primary);
+  } catch (err) {
+    // Another request is repairing the same rows; use whatever it left.
+    if (err.code !== FAMILY_CONFLICT) throw err;
+    return store.getFamily(userId);
+  }
+  await store.removeFamilyRows(others);
+  // Row indexes may have shifted, so read the surviving row back.
+  return store.getFamily(userId);
 }
 
-async function ensureEventsSheet(tabName) {
-  await ensureSheetExists(tabName);
-  await ensureHeaderRow(tabName, EVENTS_HEADER);
+// An account that joined another parent's family keeps a row of its own
+// that only points at the owner's row, where the settings live.
+async function loadHouseholdRecord(userId) {
+  const row = await loadFamilyRecord(userId);
+  if (!row || !row.owner) return row;
+  const owner = await loadFamilyRecord(row.owner);
+  if (owner && !owner.owner) return owner;
+  // The shared family is gone, so this account starts over.
+  await getStore().removeFamilyRows([row]);
+  return null;
 }
 
-async function readFamilies() {
-  await ensureFamiliesSheet();
-  const sheets = await getSheetsClient();
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: `${FAMILIES_TAB}!A2:E`,
-  });
-  const rows = res.data.values || [];
-  return rows.map((row, idx) => ({
-    rowIndex: idx + 2,
-    userId: row[0] || '',
-    tabName: row[1] || '',
-    kids: row[2] || '',
-    createdAt: row[3] || '',
-    updatedAt: row[4] || '',
-  }));
+// Removes everything stored for an account: its rows, the rows of any
+// account it shared its family with, and its events. An account that
+// joined someone else's family only loses its link, since that family's
+// events belong to the owner.
+async function deleteAccountData(userId) {
+  const store = getStore();
+  const families = await store.readFamilies();
+  const own = families.filter((family) => family.userId === userId);
+  const linked = families.filter((family) => family.owner === userId);
+  await store.removeFamilyRows([...own, ...linked]);
+
+  const tabs = new Set([buildFamilyTabName(userId)]);
+  own
+    .filter((family) => !family.owner && family.tabName)
+    .forEach((family) => tabs.add(family.tabName));
+  for (const tabName of tabs) {
+    await store.deleteEvents(tabName);
+  }
 }
 
 async function getFamilyConfig(handlerInput) {
   const userId = getUserId(handlerInput);
   if (!userId) return null;
-  const families = await readFamilies();
-  const row = families.find((f) => f.userId === userId);
-  if (!row) return null;
+  const attributes = handlerInput.requestEnvelope.session
+    ? handlerInput.attributesManager.getSessionAttributes()
+    : {};
+  let row = attributes.familyUserId === userId ? attributes.family : null;
+  if (!row) {
+    row = await loadHouseholdRecord(userId);
+    if (!row) return null;
+    cacheFamilyRecord(handlerInput, row);
+  }
 
-  const kids = parseKidsList(row.kids);
-  return {
-    userId,
-    rowIndex: row.rowIndex,
-    tabName: row.tabName,
-    kids,
-  };
+  const config = familyFromRecord(row);
+  if (!config.timezone) {
+    // Rows written before time zones were tracked pick one up from the
+    // device on first use and keep it from then on.
+    const timezone = await getDeviceTimezone(handlerInput);
+    if (timezone) {
+      return saveFamilyConfig(
+        config.userId,
+        { timezone },
+        config,
+        handlerInput
+      );
+    }
+  }
+  return config;
 }
 
-async function saveFamilyConfig(userId, kids, existingRow) {
-  await ensureFamiliesSheet();
-  const tabName = existingRow?.tabName || buildFamilyTabName(userId);
-  await ensureEventsSheet(tabName);
+// The store rejects a save made from a stale row. When that happens the
+// row is read again and the same changes are applied on top of it, so
+// fields another device changed in the meantime are kept.
+async function saveFamilyConfig(userId, changes, existingRow, handlerInput) {
+  let base = existingRow;
+  for (let attempt = 1; ; attempt += 1) {
+    const config = {
+      userId,
+      tabName: buildFamilyTabName(userId),
+      kids: [],
+      rewards: [],
+      goals: {},
+      adults: {},
+      nicknames: {},
+      ...base,
+      ...changes,
+    };
+    const now = nowForFamily(config).toISO();
+
+    const record = familyToRecord(config, now);
+    let saved;
+    try {
+      saved = await getStore().saveFamily(record, base);
+    } catch (err) {
+      if (err.code !== FAMILY_CONFLICT || attempt >= MAX_SAVE_ATTEMPTS) {
+        throw err;
+      }
+      const fresh = await loadFamilyRecord(userId);
+      base = fresh ? familyFromRecord(fresh) : null;
+      continue;
+    }
 
-  const sheets = await getSheetsClient();
-  const now = DateTime.now().setZone(TIMEZONE).toISO();
-  const kidsValue = kids.join(', ');
+    // A brand new Sheets row has no known row index yet, so it is read back
+    // on the next turn rather than cached.
+    cacheFamilyRecord(
+      handlerInput,
+      base ? { ...saved, rowIndex: base.rowIndex } : null
+    );
 
-  if (existingRow) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SHEET_ID,
-      range: `${FAMILIES_TAB}!C${existingRow.rowIndex}:E${existingRow.rowIndex}`,
-      valueInputOption: 'RAW',
-      requestBody: { values: [[kidsValue, existingRow.createdAt || now, now]] },
-    });
-  } else {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SHEET_ID,
-      range: `${FAMILIES_TAB}!A:E`,
-      valueInputOption: 'RAW',
-      insertDataOption: 'INSERT_ROWS',
-      requestBody: {
-        values: [[userId, tabName, kidsValue, now, now]],
-      },
-    });
+    return {
+      ...config,
+      version: saved.version,
+      createdAt: config.createdAt || now,
+    };
   }
+}
+
+// Notification settings belong to the account that asked for them, so an
+// account that joined another family keeps them on its own linking row.
+async function getAccountSettings(handlerInput, config) {
+  const userId = getUserId(handlerInput);
+  if (config.userId === userId) return config;
+  const row = await loadFamilyRecord(userId);
+  return row ? familyFromRecord(row) : null;
+}
 
-  return { tabName, kids };
+async function saveAccountSettings(handlerInput, config, changes) {
+  const account = await getAccountSettings(handlerInput, config);
+  if (account === config) {
+    return saveFamilyConfig(config.userId, changes, config, handlerInput);
+  }
+  return saveFamilyConfig(account.userId, changes, account);
 }
 
 async function appendEvent(event, tabName) {
-  const sheets = await getSheetsClient();
-  const values = [
-    [
-      event.timestamp_iso,
-      event.date,
-      event.person,
-      event.delta,
-      event.who,
-      event.note || '',
-    ],
-  ];
-
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: SHEET_ID,
-    range: `${tabName}!A:F`,
-    valueInputOption: 'RAW',
-    insertDataOption: 'INSERT_ROWS',
-    requestBody: { values },
-  });
+  await getStore().appendEvent(event, tabName);
 }
 
-async function readEvents(tabName) {
-  const sheets = await getSheetsClient();
-  const res = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: `${tabName}!A2:F`,
-  });
+async function appendEvents(events, tabName) {
+  await getStore().appendEvents(events, tabName);
+}
 
-  const rows = res.data.values || [];
-  return rows
-    .map((row) => ({
-      timestamp_iso: row[0] || '',
-      date: row[1] || '',
-      person: row[2] || '',
-      delta: toInt(row[3]),
-      who: row[4] || '',
-      note: row[5] || '',
-    }))
-    .filter((row) => row.date && row.person);
+async function readEvents(tabName, options = {}) {
+  return getStore().readEvents(tabName, options);
 }
 
-function toInt(value) {
-  const parsed = parseInt(value, 10);
-  return Number.isFinite(parsed) ? parsed : 0;
+async function renamePerson(tabName, from, to) {
+  return getStore().renamePerson(tabName, from, to);
 }
 
 function getSlotValue(handlerInput, slotName) {
@@ -270,6 +417,30 @@ function getSlotValue(handlerInput, slotName) {
   return slot.value || null;
 }
 
+function getSlotResolutionId(handlerInput, slotName) {
+  const slot = Alexa.getSlot(handlerInput.requestEnvelope, slotName);
+  if (!slot) return null;
+
+  const resolutions = slot.resolutions && slot.resolutions.resolutionsPerAuthority;
+  if (resolutions && resolutions.length > 0) {
+    for (const res of resolutions) {
+      const value = res.values && res.values[0] && res.values[0].value;
+      if (value && value.id) return value.id;
+    }
+  }
+
+  return null;
+}
+
+// Slot value ids are English in every language's model, so code matches on
+// them and only falls back to the spoken value when nothing resolved.
+function getSlotId(handlerInput, slotName) {
+  return (
+    getSlotResolutionId(handlerInput, slotName) ||
+    getSlotValue(handlerInput, slotName)
+  );
+}
+
 function normalizeName(raw) {
   if (!raw) return '';
   const cleaned = raw.trim().replace(/\s+/g, ' ');
@@ -284,11 +455,12 @@ function parseKidsList(raw) {
     .filter((name) => name);
 }
 
-function parseKidsInput(raw) {
+function parseKidsInput(t, raw) {
   if (!raw) return [];
+  const conjunctions = new RegExp(`\\s+(?:${t('kidsConjunctions')})\\s+`, 'gi');
   const cleaned = raw
-    .replace(/&/g, ' and ')
-    .replace(/\s+and\s+/gi, ',')
+    .replace(/\s*&\s*/g, ',')
+    .replace(conjunctions, ',')
     .replace(/\s*,\s*/g, ',')
     .trim();
 
@@ -307,25 +479,290 @@ function parseKidsInput(raw) {
   return unique.slice(0, MAX_KIDS);
 }
 
-function normalizeKidName(raw, kids) {
+function cleanKidName(raw) {
+  return raw.toLowerCase().replace(/'s$/, '').trim();
+}
+
+function findExactKid(raw, kids) {
   if (!raw) return null;
-  const cleaned = raw.toLowerCase().replace(/'s$/, '').trim();
-  const match = kids.find((k) => k.toLowerCase() === cleaned);
-  return match || null;
+  const cleaned = cleanKidName(raw);
+  return kids.find((k) => k.toLowerCase() === cleaned) || null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// One-letter codes such as "L" for Leah and Lou say too little to count as
+// a match on their own.
+function soundsAlike(a, b) {
+  const codes = doubleMetaphone(a).filter((code) => code.length > 1);
+  return doubleMetaphone(b).some((code) => codes.includes(code));
+}
+
+// Returns the kids a spoken name could mean, best first. An exact name or
+// nickname is the only match; otherwise kids whose name or nickname sounds
+// the same or is spelled nearly the same all count, which covers speech
+// recognition variants such as "Jasmin" for "Jasmine".
+function matchKidNames(raw, kids, nicknames = {}) {
+  if (!raw) return [];
+  const exact = findExactKid(raw, kids);
+  if (exact) return [exact];
+  const cleaned = cleanKidName(raw);
+  const named = kids.find((kid) =>
+    (nicknames[kid] || []).some((nick) => nick.toLowerCase() === cleaned)
+  );
+  if (named) return [named];
+
+  const candidates = [];
+  for (const kid of kids) {
+    let best = null;
+    for (const name of [kid, ...(nicknames[kid] || [])]) {
+      const lower = name.toLowerCase();
+      const distance = editDistance(cleaned, lower);
+      const close = distance <= Math.max(1, Math.floor(lower.length / 4));
+      if (!close && !soundsAlike(cleaned, lower)) continue;
+      if (best === null || distance < best) best = distance;
+    }
+    if (best !== null) candidates.push({ kid, distance: best });
+  }
+  return candidates
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ kid }) => kid);
+}
+
+// Returns the one kid a spoken name means, or null when it matches no kid
+// or could be more than one.
+function normalizeKidName(raw, kids, nicknames = {}) {
+  const matches = matchKidNames(raw, kids, nicknames);
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function parseNicknamesList(raw) {
+  const nicknames = {};
+  if (!raw) return nicknames;
+  for (const entry of raw.split(';')) {
+    const [name, list] = entry.split(':');
+    const kid = normalizeName(name);
+    const names = (list || '')
+      .split(',')
+      .map((nick) => normalizeName(nick))
+      .filter((nick) => nick);
+    if (kid && names.length > 0) nicknames[kid] = names;
+  }
+  return nicknames;
+}
+
+function formatNicknamesList(nicknames) {
+  return Object.keys(nicknames)
+    .filter((kid) => nicknames[kid].length > 0)
+    .map((kid) => `${kid}: ${nicknames[kid].join(', ')}`)
+    .join('; ');
+}
+
+function findNicknameOwner(nickname, nicknames) {
+  const lower = nickname.toLowerCase();
+  return (
+    Object.keys(nicknames).find((kid) =>
+      nicknames[kid].some((nick) => nick.toLowerCase() === lower)
+    ) || null
+  );
+}
+
+const KID_SLOTS = ['person', 'personTwo', 'personThree'];
+
+// Returns every child an adjustment applies to. When a named child can't be
+// matched, or no child was named, `missing` is the slot to ask about so the
+// caller asks instead of guessing. A name that could mean more than one
+// child comes back as `unsure`, with the closest child as the `guess` to
+// check with the parent.
+function resolveAdjustTargets(handlerInput, config) {
+  const { kids, nicknames } = config;
+  if (getSlotValue(handlerInput, 'group')) return { targets: [...kids] };
+
+  const targets = [];
+  for (const slotName of KID_SLOTS) {
+    const raw = getSlotValue(handlerInput, slotName);
+    if (!raw) continue;
+    // A denied slot still holds the guess the parent said no to.
+    const slot = Alexa.getSlot(handlerInput.requestEnvelope, slotName);
+    if (slot.confirmationStatus === 'DENIED') {
+      return { targets: [], missing: slotName };
+    }
+    const matches = matchKidNames(raw, kids, nicknames);
+    if (matches.length === 0) return { targets: [], missing: slotName };
+    if (matches.length > 1) {
+      return { targets: [], unsure: slotName, guess: matches[0] };
+    }
+    if (!targets.includes(matches[0])) targets.push(matches[0]);
+  }
+  return targets.length > 0 ? { targets } : { targets, missing: 'person' };
+}
+
+// Clears one slot of the adjustment so it can be asked for again. The rest
+// of the intent is kept in the session as well, in case the answer comes
+// back without the slots Alexa was holding.
+function elicitAdjustSlot(handlerInput, slotName) {
+  const intent = handlerInput.requestEnvelope.request.intent;
+  const updatedIntent = {
+    ...intent,
+    slots: {
+      ...intent.slots,
+      [slotName]: { name: slotName, confirmationStatus: 'NONE' },
+    },
+  };
+  const attributes = handlerInput.attributesManager.getSessionAttributes();
+  attributes.pendingAdjust = { slot: slotName, intent: updatedIntent };
+  handlerInput.attributesManager.setSessionAttributes(attributes);
+  return updatedIntent;
+}
+
+// An answer that arrives as a fresh AdjustPointsIntent holding only the
+// slot that was asked for is merged into the adjustment it answers.
+function resumePendingAdjust(handlerInput) {
+  const attributes = handlerInput.attributesManager.getSessionAttributes();
+  const pending = attributes.pendingAdjust;
+  if (!pending) return;
+  delete attributes.pendingAdjust;
+  handlerInput.attributesManager.setSessionAttributes(attributes);
+
+  const intent = handlerInput.requestEnvelope.request.intent;
+  const filled = Object.values(intent.slots || {}).filter((slot) => slot.value);
+  if (filled.length !== 1) return;
+  const [answer] = filled;
+  const fits =
+    answer.name === pending.slot ||
+    (KID_SLOTS.includes(answer.name) && KID_SLOTS.includes(pending.slot));
+  if (!fits) return;
+  intent.slots = {
+    ...pending.intent.slots,
+    [pending.slot]: { ...answer, name: pending.slot },
+  };
+}
+
+function normalizeRewardName(raw) {
+  if (!raw) return '';
+  return raw
+    .trim()
+    .toLowerCase()
+    .replace(/^(the|a|an)\s+/, '')
+    .replace(/\s+reward$/, '')
+    .replace(/\s+/g, ' ');
+}
+
+function parseRewardsList(raw) {
+  if (!raw) return [];
+  return raw
+    .split(';')
+    .map((entry) => {
+      const [name, cost] = entry.split(':');
+      return { name: normalizeRewardName(name), cost: toInt(cost) };
+    })
+    .filter((reward) => reward.name && reward.cost > 0);
+}
+
+function formatRewardsList(rewards) {
+  return rewards.map((reward) => `${reward.name}: ${reward.cost}`).join('; ');
+}
+
+function findReward(raw, rewards) {
+  const name = normalizeRewardName(raw);
+  if (!name) return null;
+  return rewards.find((reward) => reward.name === name) || null;
+}
+
+function parseGoalsList(raw) {
+  const goals = {};
+  if (!raw) return goals;
+  for (const entry of raw.split(';')) {
+    const [name, target] = entry.split(':');
+    const [amount, period] = (target || '').trim().split('/');
+    const kid = normalizeName(name);
+    if (kid && toInt(amount) > 0) {
+      goals[kid] = {
+        amount: toInt(amount),
+        period: period === 'week' ? 'week' : 'day',
+      };
+    }
+  }
+  return goals;
+}
+
+function formatGoalsList(goals) {
+  return Object.keys(goals)
+    .map((kid) => `${kid}: ${goals[kid].amount}/${goals[kid].period}`)
+    .join('; ');
+}
+
+function parseAdultsList(raw) {
+  const adults = {};
+  if (!raw) return adults;
+  for (const entry of raw.split(';')) {
+    const [personId, name] = entry.split('=');
+    if (personId && personId.trim() && normalizeName(name)) {
+      adults[personId.trim()] = normalizeName(name);
+    }
+  }
+  return adults;
+}
+
+function formatAdultsList(adults) {
+  return Object.keys(adults)
+    .map((personId) => `${personId}=${adults[personId]}`)
+    .join('; ');
+}
+
+function findAdultName(t, raw, adults) {
+  const name = normalizeName(raw);
+  if (!name) return null;
+  if (name === normalizeName(t('defaultAdult'))) return DEFAULT_ADULT;
+  const names = [...Object.values(adults), DEFAULT_ADULT];
+  return names.find((adult) => adult === name) || null;
+}
+
+// Undo events belong to whoever made the change they cancel, so filtering by
+// adult keeps their totals consistent.
+function filterEventsByAdult(events, adult) {
+  const byTimestamp = new Map(
+    events.map((event) => [event.timestamp_iso, event])
+  );
+  return events.filter((event) => {
+    const source =
+      event.type === 'undo' ? byTimestamp.get(event.ref) || event : event;
+    return normalizeName(source.who) === adult;
+  });
+}
+
+function parseGoalPeriod(raw) {
+  if (!raw) return 'day';
+  return raw.toLowerCase().includes('week') ? 'week' : 'day';
 }
 
-function buildDateSeries(now, dayCount, labelFormat = 'MMM d') {
+function buildDateSeries(now, dayCount, labelFormat = DATE_SHORT) {
   const day0 = now.startOf('day');
   const days = [];
   for (let i = dayCount - 1; i >= 0; i -= 1) {
     days.push(day0.minus({ days: i }));
   }
   const dates = days.map((d) => d.toISODate());
-  const labels = days.map((d) => d.toFormat(labelFormat));
+  const labels = days.map((d) => d.toLocaleString(labelFormat));
   return { dates, labels };
 }
 
-function buildMonthSeries(now, labelFormat = 'd') {
+function buildMonthSeries(now, labelFormat = DAY_OF_MONTH) {
   const start = now.startOf('month');
   const day0 = now.startOf('day');
   const diffDays = Math.floor(day0.diff(start, 'days').days);
@@ -334,10 +771,52 @@ function buildMonthSeries(now, labelFormat = 'd') {
     days.push(start.plus({ days: i }));
   }
   const dates = days.map((d) => d.toISODate());
-  const labels = days.map((d) => d.toFormat(labelFormat));
+  const labels = days.map((d) => d.toLocaleString(labelFormat));
+  return { dates, labels };
+}
+
+function formatDateSpan(start, end) {
+  const from = start.toLocaleString(DATE_SHORT);
+  return `${from}–${end.toLocaleString(DATE_SHORT)}`;
+}
+
+function buildRangeSeries(start, end, labelFormat = DATE_SHORT) {
+  const dayCount = Math.round(end.diff(start, 'days').days) + 1;
+  const days = [];
+  for (let i = 0; i < dayCount; i += 1) {
+    days.push(start.plus({ days: i }));
+  }
+  const dates = days.map((d) => d.toISODate());
+  const labels = days.map((d) => d.toLocaleString(labelFormat));
   return { dates, labels };
 }
 
+// The stretch a period is compared against: yesterday, the seven days
+// before this week, or last month up to the same day of the month.
+function buildPreviousDates(period, now) {
+  if (period === 'week') {
+    return buildDateSeries(now.minus({ days: 7 }), 7).dates;
+  }
+  if (period === 'month') {
+    return buildMonthSeries(now.minus({ months: 1 })).dates;
+  }
+  return [now.minus({ days: 1 }).toISODate()];
+}
+
+function buildBalances(events, kids) {
+  const balances = {};
+  for (const kid of kids) {
+    balances[kid] = 0;
+  }
+  for (const event of events) {
+    const kid = normalizeName(event.person);
+    balances[kid] = (balances[kid] || 0) + event.delta;
+  }
+  return balances;
+}
+
+// Aggregate rows left by compaction are ordinary deltas on their date, so
+// totals mix them with raw events without special handling.
 function buildTotals(events, dates, kids) {
   const totals = {};
   for (const date of dates) {
@@ -347,8 +826,9 @@ function buildTotals(events, dates, kids) {
     }
   }
 
+  const redemptions = collectRedemptionRefs(events);
   for (const event of events) {
-    if (!totals[event.date]) continue;
+    if (!totals[event.date] || isRedemption(event, redemptions)) continue;
     const kid = normalizeName(event.person);
     if (!totals[event.date][kid]) totals[event.date][kid] = 0;
     totals[event.date][kid] += event.delta;
@@ -357,13 +837,57 @@ function buildTotals(events, dates, kids) {
   return totals;
 }
 
+const MAX_STREAK_DAYS = 366;
+
+function sumRange(dayTotals, kid, from, to) {
+  let total = 0;
+  for (let day = from; day <= to; day = day.plus({ days: 1 })) {
+    total += (dayTotals[day.toISODate()] || {})[kid] || 0;
+  }
+  return total;
+}
+
+// A period still in progress only extends the streak once its goal is met,
+// so an unfinished today never breaks a run of earlier successes.
+function buildGoalStatus(events, goals, kids, now) {
+  const { dates } = buildDateSeries(now, MAX_STREAK_DAYS);
+  const dayTotals = buildTotals(events, dates, kids);
+  const today = now.startOf('day');
+  const earliest = today.minus({ days: MAX_STREAK_DAYS - 1 });
+  const status = {};
+
+  for (const kid of kids) {
+    const goal = goals[kid];
+    if (!goal) continue;
+
+    const unit = goal.period === 'week' ? 'weeks' : 'days';
+    let start = goal.period === 'week' ? today.startOf('week') : today;
+    const progress = sumRange(dayTotals, kid, start, today);
+    const met = progress >= goal.amount;
+
+    let streak = met ? 1 : 0;
+    start = start.minus({ [unit]: 1 });
+    while (start >= earliest) {
+      const end = start.plus({ [unit]: 1 }).minus({ days: 1 });
+      if (sumRange(dayTotals, kid, start, end) < goal.amount) break;
+      streak += 1;
+      start = start.minus({ [unit]: 1 });
+    }
+
+    status[kid] = { ...goal, progress, met, streak };
+  }
+
+  return status;
+}
+
 function buildTrendPayload(
+  t,
   dates,
   labels,
   totals,
   kids,
-  title = 'Last 3 Days',
-  summaryLabel = 'Today',
+  title = t('chart.last3Days'),
+  summaryLabel = t('chart.today'),
   summaryTotals = null,
   rangeLabel = null
 ) {
@@ -382,7 +906,7 @@ function buildTrendPayload(
   const summaryValues = summaryTotals || fallbackTotals;
   const summary = kids.map((name) => {
     const value = summaryValues[name] || 0;
-    const display = formatPoints(value);
+    const display = formatPoints(t, value);
     return { name, value, display };
   });
 
@@ -452,264 +976,2717 @@ function buildTrendPayload(
   };
 }
 
-function formatPoints(value) {
-  const abs = Math.abs(value);
-  const points = abs === 1 ? 'point' : 'points';
-  if (value < 0) {
-    return `minus ${abs} ${points}`;
+function formatPoints(t, value) {
+  const count = Math.abs(value);
+  return t(value < 0 ? 'minusPoints' : 'points', { count });
+}
+
+function isInviteActive(record, now) {
+  return Boolean(
+    record.inviteCode &&
+      record.inviteExpires &&
+      DateTime.fromISO(record.inviteExpires) > now
+  );
+}
+
+function generateInviteCode(taken) {
+  let code;
+  do {
+    code = String(crypto.randomInt(1000, 10000));
+  } while (taken.has(code));
+  return code;
+}
+
+// Failures are counted on the account's own row, so starting a new session
+// doesn't reset them. An account with no row yet keeps them in the session
+// instead, since a wrong code shouldn't leave a family behind.
+function joinAttempts(handlerInput, record) {
+  if (record) {
+    return {
+      failures: toInt(record.joinFailures),
+      lockedUntil: record.joinLockedUntil || '',
+    };
   }
-  return `${abs} ${points}`;
+  const attributes = handlerInput.attributesManager.getSessionAttributes();
+  return attributes.joinAttempts || { failures: 0, lockedUntil: '' };
 }
 
-function joinWithAnd(items) {
-  if (items.length === 0) return '';
-  if (items.length === 1) return items[0];
-  if (items.length === 2) return `${items[0]} and ${items[1]}`;
-  return `${items.slice(0, -1).join(', ')}, and ${items[items.length - 1]}`;
+async function recordJoinFailure(handlerInput, userId, record, now) {
+  const failures = joinAttempts(handlerInput, record).failures + 1;
+  const locked = failures >= MAX_JOIN_FAILURES;
+  const attempts = {
+    failures: locked ? 0 : failures,
+    lockedUntil: locked ? now.plus({ hours: INVITE_TTL_HOURS }).toISO() : '',
+  };
+  if (!record) {
+    const attributes = handlerInput.attributesManager.getSessionAttributes();
+    attributes.joinAttempts = attempts;
+    handlerInput.attributesManager.setSessionAttributes(attributes);
+    return;
+  }
+  await saveFamilyConfig(
+    userId,
+    {
+      joinFailures: attempts.failures,
+      joinLockedUntil: attempts.lockedUntil,
+    },
+    familyFromRecord(record)
+  );
 }
 
-function buildFollowUpPrompt() {
-  return 'Anything else?';
+// Codes are read digit by digit, the way parents will repeat them.
+function spellCode(code) {
+  return code.split('').join(' ');
 }
 
-function supportsAPL(handlerInput) {
-  const interfaces = Alexa.getSupportedInterfaces(handlerInput.requestEnvelope);
-  return interfaces && interfaces['Alexa.Presentation.APL'];
+// A summary of the day is only useful once the day is mostly over, so a
+// bare "at 7" means 7 in the evening. AMAZON.TIME drops a spoken "a.m.", so
+// the morning only counts when the daypart slot says so.
+function parseSummaryTime(raw, daypart) {
+  if (!raw) return DEFAULT_SUMMARY_TIME;
+  if (SUMMARY_TIMES_OF_DAY[raw]) return SUMMARY_TIMES_OF_DAY[raw];
+  const time = DateTime.fromFormat(raw, 'HH:mm');
+  if (!time.isValid) return null;
+  if (daypart === 'morning') {
+    return time.set({ hour: time.hour % 12 }).toFormat('HH:mm');
+  }
+  const hour = time.hour >= 1 && time.hour < 12 ? time.hour + 12 : time.hour;
+  return time.set({ hour }).toFormat('HH:mm');
 }
 
-function addDynamicKids(responseBuilder, kids) {
-  if (!kids || kids.length === 0) return;
-  responseBuilder.addDirective({
-    type: 'Dialog.UpdateDynamicEntities',
-    updateBehavior: 'REPLACE',
-    types: [
-      {
-        name: 'KID_NAME',
-        values: kids.map((kid) => ({ name: { value: kid } })),
-      },
-    ],
-  });
+function formatSummaryTime(t, time) {
+  const parsed = DateTime.fromFormat(time, 'HH:mm').setLocale(t.locale);
+  return parsed.toLocaleString(parsed.minute === 0 ? HOUR : HOUR_MINUTE);
 }
 
-function buildCanFulfillResponse(canFulfill, slots) {
-  const response = {
-    canFulfillIntent: {
-      canFulfill,
+function hasPermission(handlerInput, scope) {
+  const user = handlerInput.requestEnvelope.context.System.user || {};
+  const scopes = (user.permissions && user.permissions.scopes) || {};
+  return Boolean(scopes[scope] && scopes[scope].status === 'GRANTED');
+}
+
+function buildPermissionRequest(scope) {
+  return {
+    type: 'Connections.SendRequest',
+    name: 'AskFor',
+    payload: {
+      '@type': 'AskForPermissionsConsentRequest',
+      '@version': '2',
+      permissionScopes: [{ permissionScope: scope, consentLevel: 'ACCOUNT' }],
     },
+    token: '',
   };
+}
 
-  if (slots) {
-    response.canFulfillIntent.slots = slots;
-  }
+function buildFollowUpPrompt(t) {
+  return t('followUp');
+}
 
-  return response;
+function supportsAPL(handlerInput) {
+  const interfaces = Alexa.getSupportedInterfaces(handlerInput.requestEnvelope);
+  return interfaces && interfaces['Alexa.Presentation.APL'];
 }
 
-function promptForKids(handlerInput) {
-  const speakOutput =
-    'Welcome to points tracking for your kids. State the name of all the kids. For example, say: my kids are Alex, Krish and Jasmine.';
-  return handlerInput.responseBuilder
-    .speak(speakOutput)
-    .reprompt('Please tell me your kids\' names.')
-    .getResponse();
+function buildReasonItems(reasons, limit = 5) {
+  return reasons
+    .filter((entry) => entry.reason)
+    .slice(-limit)
+    .reverse()
+    .map((entry) => ({
+      text: `${entry.person} ${entry.delta >= 0 ? '+' : '−'}${Math.abs(
+        entry.delta
+      )} · ${entry.reason}`,
+      color: entry.delta < 0 ? '#D9480F' : '#2F9E44',
+    }));
 }
 
-async function buildSummaryData(tabName, kids, period = 'today') {
-  const now = DateTime.now().setZone(TIMEZONE);
-  const events = await readEvents(tabName);
-  let dates = [];
+function addTrendDirective(
+  handlerInput,
+  responseBuilder,
+  summaryData,
+  kids,
+  summaryTotals = null
+) {
+  if (!supportsAPL(handlerInput)) return;
+
+  const t = getTranslator(handlerInput);
+  const payload = buildTrendPayload(
+    t,
+    summaryData.dates,
+    summaryData.labels,
+    summaryData.totals,
+    kids,
+    summaryData.title,
+    summaryData.summaryLabel,
+    summaryTotals,
+    summaryData.rangeLabel
+  );
+  payload.reasons = buildReasonItems(summaryData.reasons || []);
+  if (summaryData.balances) {
+    for (const item of payload.summary) {
+      item.balanceText = t('chart.balance', {
+        count: summaryData.balances[item.name] || 0,
+      });
+    }
+  }
+  if (summaryData.goals) {
+    for (const item of payload.summary) {
+      const goal = summaryData.goals[item.name];
+      if (!goal) continue;
+      item.goalText = t(`chart.goal.${goal.period}`, goal);
+      item.streakText =
+        goal.streak > 0
+          ? t(`chart.streak.${goal.period}`, { count: goal.streak })
+          : '';
+      item.badgeColor = goal.met ? '#2F9E44' : '#F59F00';
+    }
+  }
+  responseBuilder.addDirective({
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    token: 'trend',
+    document: APL_DOC,
+    datasources: { payload },
+  });
+}
+
+function addLeaderboardDirective(
+  handlerInput,
+  responseBuilder,
+  ranking,
+  previous,
+  title,
+  rangeLabel
+) {
+  if (!supportsAPL(handlerInput)) return;
+
+  const t = getTranslator(handlerInput);
+  const rows = ranking.map((entry) => {
+    const change = previous
+      ? percentChange(entry.value, previous[entry.name] || 0)
+      : null;
+    let changeText = '';
+    let changeColor = '#6B7280';
+    if (change !== null && change !== 0) {
+      changeText = `${change > 0 ? '▲' : '▼'} ${Math.abs(change)}%`;
+      changeColor = change > 0 ? '#2F9E44' : '#E03131';
+    }
+    return {
+      rank: entry.rank,
+      name: entry.name,
+      value: entry.value,
+      display: formatPoints(t, entry.value),
+      changeText,
+      changeColor,
+    };
+  });
+
+  responseBuilder.addDirective({
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    token: 'leaderboard',
+    document: LEADERBOARD_DOC,
+    datasources: { payload: { title, rangeLabel, rows } },
+  });
+}
+
+function addKidDirective(
+  handlerInput,
+  responseBuilder,
+  summaryData,
+  kid,
+  summaryTotals = null,
+  days = null
+) {
+  if (!supportsAPL(handlerInput)) return;
+
+  const t = getTranslator(handlerInput);
+  const trend = buildTrendPayload(
+    t,
+    summaryData.dates,
+    summaryData.labels,
+    summaryData.totals,
+    [kid],
+    summaryData.title,
+    summaryData.summaryLabel,
+    summaryTotals,
+    summaryData.rangeLabel
+  );
+  const payload = {
+    name: kid,
+    display: trend.summary[0].display,
+    summaryLabel: trend.summaryLabel,
+    dateLabel: trend.dateLabel,
+    barSpacing: trend.barSpacing,
+    bars: trend.people[0].bars,
+    bestText: days
+      ? t('chart.bestDay', {
+          day: days.best.label,
+          points: formatPoints(t, days.best.value),
+        })
+      : '',
+    worstText: days
+      ? t('chart.quietestDay', {
+          day: days.worst.label,
+          points: formatPoints(t, days.worst.value),
+        })
+      : '',
+  };
+
+  responseBuilder.addDirective({
+    type: 'Alexa.Presentation.APL.RenderDocument',
+    token: 'kid',
+    document: KID_DOC,
+    datasources: { payload },
+  });
+}
+
+// Nicknames go along as synonyms, so Alexa resolves them to the child's
+// name before the skill sees the slot.
+function addDynamicKids(responseBuilder, kids, nicknames = {}) {
+  if (!kids || kids.length === 0) return;
+  responseBuilder.addDirective({
+    type: 'Dialog.UpdateDynamicEntities',
+    updateBehavior: 'REPLACE',
+    types: [
+      {
+        name: 'KID_NAME',
+        values: kids.map((kid) => {
+          const name = { value: kid };
+          if (nicknames[kid] && nicknames[kid].length > 0) {
+            name.synonyms = nicknames[kid];
+          }
+          return { name };
+        }),
+      },
+    ],
+  });
+}
+
+function buildCanFulfillResponse(canFulfill, slots) {
+  const response = {
+    canFulfillIntent: {
+      canFulfill,
+    },
+  };
+
+  if (slots) {
+    response.canFulfillIntent.slots = slots;
+  }
+
+  return response;
+}
+
+function promptForKids(handlerInput) {
+  const t = getTranslator(handlerInput);
+  return handlerInput.responseBuilder
+    .speak(t('welcome'))
+    .reprompt(t('askKidNames'))
+    .getResponse();
+}
+
+async function buildSummaryData(t, config, period = 'today', options = {}) {
+  const { tabName } = config;
+  const kids = options.kid ? [options.kid] : config.kids;
+  const now = nowForFamily(config, t);
+  let dates = [];
   let labels = [];
-  let title = 'Last 3 Days';
-  let summaryLabel = 'Today';
-  let rangeLabel = now.toFormat('MMM d');
+  let title = t('chart.last3Days');
+  let summaryLabel = t('chart.today');
+  let rangeLabel = now.toLocaleString(DATE_SHORT);
 
   if (period === 'week') {
-    ({ dates, labels } = buildDateSeries(now, 7, 'EEE'));
-    title = 'Last 7 Days';
-    summaryLabel = 'This Week';
-    rangeLabel = `${now.minus({ days: 6 }).toFormat('MMM d')}–${now.toFormat(
-      'MMM d'
-    )}`;
+    ({ dates, labels } = buildDateSeries(now, 7, WEEKDAY_SHORT));
+    title = t('chart.last7Days');
+    summaryLabel = t('chart.thisWeek');
+    rangeLabel = formatDateSpan(now.minus({ days: 6 }), now);
   } else if (period === 'month') {
     ({ dates, labels } = buildMonthSeries(now));
-    title = 'This Month';
-    summaryLabel = 'This Month';
-    rangeLabel = now.toFormat('MMMM yyyy');
+    title = t('chart.thisMonth');
+    summaryLabel = t('chart.thisMonth');
+    rangeLabel = now.toLocaleString(MONTH_YEAR);
+  } else if (period === 'range') {
+    const { range } = options;
+    ({ dates, labels } = buildRangeSeries(
+      range.start,
+      range.end,
+      range.dayCount <= 7 ? WEEKDAY_SHORT : DATE_SHORT
+    ));
+    title = range.label;
+    summaryLabel = range.label;
+    rangeLabel =
+      range.dayCount === 1
+        ? range.start.toLocaleString(WEEKDAY_DATE_SHORT)
+        : formatDateSpan(range.start, range.end);
   } else {
     ({ dates, labels } = buildDateSeries(now, 3));
   }
 
-  const totals = buildTotals(events, dates, kids);
-  return { now, dates, labels, totals, title, summaryLabel, rangeLabel };
+  if (options.adult) {
+    title = t('chart.fromAdult', {
+      title,
+      adult: speakAdult(t, options.adult),
+    });
+  }
+
+  const hasRewards = config.rewards && config.rewards.length > 0;
+  const hasGoals = config.goals && Object.keys(config.goals).length > 0;
+  const previousDates = options.previous ? buildPreviousDates(period, now) : [];
+
+  // Balances are all-time, so only families without rewards can skip the
+  // older part of the log; goals still need the whole streak window.
+  let since = [dates[0], ...previousDates].sort()[0];
+  if (hasGoals) {
+    const streakStart = now.minus({ days: MAX_STREAK_DAYS - 1 }).toISODate();
+    if (streakStart < since) since = streakStart;
+  }
+  const allEvents = await readEvents(tabName, hasRewards ? {} : { since });
+  const events = options.kid
+    ? allEvents.filter((event) => normalizeName(event.person) === options.kid)
+    : allEvents;
+  const periodEvents = options.adult
+    ? filterEventsByAdult(events, options.adult)
+    : events;
+
+  const totals = buildTotals(periodEvents, dates, kids);
+  const reasonDates = period === 'today' ? [now.toISODate()] : dates;
+  const reasons = listReasons(periodEvents, reasonDates);
+  const balances = hasRewards ? buildBalances(events, kids) : null;
+  const goals = hasGoals
+    ? buildGoalStatus(events, config.goals, kids, now)
+    : null;
+  let previous = null;
+  if (options.previous) {
+    previous = aggregateTotals(
+      buildTotals(periodEvents, previousDates, kids),
+      previousDates,
+      kids
+    );
+  }
+  return {
+    now,
+    dates,
+    labels,
+    totals,
+    title,
+    summaryLabel,
+    rangeLabel,
+    reasons,
+    balances,
+    goals,
+    previous,
+  };
+}
+
+function collectUndoneRefs(events) {
+  return new Set(
+    events.filter((event) => event.type === 'undo').map((event) => event.ref)
+  );
+}
+
+function getEventReason(event) {
+  if (!event.note || /^(Added|Reduced) \d+$/.test(event.note)) return '';
+  return event.note;
+}
+
+function listReasons(events, dates) {
+  const undone = collectUndoneRefs(events);
+  const dateSet = new Set(dates);
+  return events
+    .filter(
+      (event) =>
+        dateSet.has(event.date) &&
+        event.type !== 'undo' &&
+        event.type !== 'redeem' &&
+        !isAggregate(event) &&
+        !undone.has(event.timestamp_iso)
+    )
+    .map((event) => ({
+      date: event.date,
+      person: normalizeName(event.person),
+      delta: event.delta,
+      reason: getEventReason(event),
+      who: normalizeName(event.who) || DEFAULT_ADULT,
+    }));
+}
+
+function parseReason(t, raw) {
+  if (!raw) return '';
+  const prefixes = new RegExp(`^(?:${t('reasonPrefixes')})\\s+`, 'i');
+  return raw.trim().replace(prefixes, '').replace(/\s+/g, ' ');
+}
+
+function capitalize(text) {
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+}
+
+function buildReasonsSpeech(t, person, entries, periodText) {
+  if (entries.length === 0) {
+    return t('reasons.none', { kid: person, period: periodText });
+  }
+
+  const withReason = entries.filter((entry) => entry.reason);
+  const total = entries.reduce((sum, entry) => sum + entry.delta, 0);
+  const parts = withReason.map((entry) =>
+    t(entry.delta >= 0 ? 'reasons.got' : 'reasons.lost', {
+      points: formatPoints(t, Math.abs(entry.delta)),
+      reason: entry.reason,
+    })
+  );
+
+  const unexplained = entries.length - withReason.length;
+  if (unexplained > 0) {
+    parts.push(t('reasons.unexplained', { count: unexplained }));
+  }
+
+  return t('reasons.summary', {
+    intro: capitalize(periodText),
+    kid: person,
+    list: t.list(parts),
+    points: formatPoints(t, total),
+  });
+}
+
+function findUndoTarget(events) {
+  const undone = collectUndoneRefs(events);
+  for (let i = events.length - 1; i >= 0; i -= 1) {
+    const event = events[i];
+    if (event.type === 'undo' || isAggregate(event)) continue;
+    if (undone.has(event.timestamp_iso)) continue;
+    return event;
+  }
+  return null;
+}
+
+function aggregateTotals(totals, dates, kids) {
+  const summary = {};
+  for (const kid of kids) {
+    summary[kid] = 0;
+  }
+  for (const date of dates) {
+    const dayTotals = totals[date] || {};
+    for (const kid of kids) {
+      summary[kid] += dayTotals[kid] || 0;
+    }
+  }
+  return summary;
+}
+
+function parseSummaryPeriod(raw) {
+  if (!raw) return 'today';
+  const text = raw.toLowerCase();
+  if (text.includes('week')) return 'week';
+  if (text.includes('month')) return 'month';
+  return 'today';
+}
+
+// AMAZON.DATE values come as 2024-09-14, 2024-W37, 2024-W37-WE, 2024-09 or
+// 2024. Month and weekday names resolve to their next occurrence, so a
+// range that starts up to a week (or, for a month, a year) ahead is moved
+// back to the one that just happened.
+function parseDateRange(raw, now) {
+  const today = now.startOf('day');
+  const opts = { zone: now.zone, locale: now.locale };
+  let match = null;
+  let start = null;
+  let end = null;
+  let kind = '';
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) {
+    start = DateTime.fromISO(raw, opts);
+    end = start;
+    kind = 'day';
+    if (start > today && start.diff(today, 'days').days <= 7) {
+      start = start.minus({ weeks: 1 });
+      end = start;
+    }
+  } else if ((match = raw.match(/^(\d{4})-W(\d{2})(-WE)?$/))) {
+    const monday = DateTime.fromObject(
+      { weekYear: Number(match[1]), weekNumber: Number(match[2]), weekday: 1 },
+      opts
+    );
+    start = match[3] ? monday.plus({ days: 5 }) : monday;
+    end = monday.plus({ days: 6 });
+    kind = match[3] ? 'weekend' : 'week';
+  } else if (/^\d{4}-\d{2}$/.test(raw)) {
+    start = DateTime.fromISO(`${raw}-01`, opts);
+    if (start > today) start = start.minus({ years: 1 });
+    end = start.endOf('month').startOf('day');
+    kind = 'month';
+  } else if (/^\d{4}$/.test(raw)) {
+    start = DateTime.fromObject({ year: Number(raw), month: 1, day: 1 }, opts);
+    end = start.endOf('year').startOf('day');
+    kind = 'year';
+  }
+
+  if (!start || !start.isValid) return null;
+  return { start, end, kind };
 }
 
-function aggregateTotals(totals, dates, kids) {
-  const summary = {};
-  for (const kid of kids) {
-    summary[kid] = 0;
-  }
-  for (const date of dates) {
-    const dayTotals = totals[date] || {};
-    for (const kid of kids) {
-      summary[kid] += dayTotals[kid] || 0;
+// A range is named once, both as a screen label and as the phrase that
+// opens a spoken summary, since languages word the two differently.
+function describeRange(t, range, today) {
+  const { start, end, kind } = range;
+  let name = kind;
+  let date = '';
+  if (kind === 'day') {
+    if (start.hasSame(today, 'day')) name = 'today';
+    else if (start.hasSame(today.minus({ days: 1 }), 'day')) name = 'yesterday';
+    else date = start.toLocaleString(WEEKDAY_DATE_LONG);
+  } else if (kind === 'week') {
+    if (start.hasSame(today, 'week')) name = 'thisWeek';
+    else if (start.hasSame(today.minus({ weeks: 1 }), 'week'))
+      name = 'lastWeek';
+    else name = 'weekOf';
+    date = start.toLocaleString(DATE_LONG);
+  } else if (kind === 'weekend') {
+    name = start.hasSame(today, 'week') ? 'thisWeekend' : 'weekendOf';
+    date = start.toLocaleString(DATE_LONG);
+  } else if (kind === 'month') {
+    date = start.toLocaleString(
+      start.hasSame(today, 'year') ? MONTH_LONG : MONTH_YEAR
+    );
+  } else if (kind === 'year') {
+    date = start.toLocaleString(YEAR);
+  } else {
+    name = 'lastDays';
+  }
+  const params = { date, count: end.diff(start, 'days').days + 1 };
+  return {
+    name,
+    label: t(`range.${name}`, params),
+    phrase: t(`rangePhrase.${name}`, params),
+  };
+}
+
+// Points can be logged for a single earlier day; returns null for today,
+// { error } when the day can't be used, and otherwise the one-day range.
+function parseEntryDay(t, rawDate, now) {
+  const range = parseSummaryRange(t, rawDate, null, now);
+  if (!range || range.error) return range;
+  if (range.kind !== 'day') return { error: 'notDay' };
+  const daysAgo = Math.round(now.startOf('day').diff(range.start, 'days').days);
+  if (daysAgo > MAX_BACKDATE_DAYS) return { error: 'tooOld' };
+  return daysAgo === 0 ? null : range;
+}
+
+// Returns null without a date or duration, { error } when the range can't
+// be summarised, and otherwise the clamped range ending no later than today.
+function parseSummaryRange(t, rawDate, rawDuration, now) {
+  if (!rawDate && !rawDuration) return null;
+  const today = now.startOf('day');
+  let range = null;
+
+  if (rawDate) {
+    range = parseDateRange(rawDate, now);
+  } else {
+    const duration = Duration.fromISO(rawDuration);
+    const days = duration.isValid ? Math.round(duration.as('days')) : 0;
+    if (days >= 1) {
+      range = {
+        start: today.minus({ days: days - 1 }),
+        end: today,
+        kind: days === 1 ? 'day' : 'days',
+      };
+    }
+  }
+
+  if (!range) return { error: 'unknown' };
+  if (range.start > today) return { error: 'future' };
+  if (range.end > today) range.end = today;
+
+  const dayCount = Math.round(range.end.diff(range.start, 'days').days) + 1;
+  if (dayCount > MAX_SUMMARY_DAYS) return { error: 'tooLong' };
+
+  return { ...range, dayCount, ...describeRange(t, range, today) };
+}
+
+function buildRangeErrorSpeech(t, error) {
+  return t(`rangeError.${error}`, { count: MAX_SUMMARY_DAYS });
+}
+
+// Returns null when there is nothing to compare: a single day, or every day
+// in the range on the same total.
+function findBestAndWorstDays(t, totals, dates, kid) {
+  if (dates.length < 2) return null;
+  const labelFormat = dates.length <= 7 ? WEEKDAY_LONG : DATE_LONG;
+  const days = dates.map((date) => ({
+    label: DateTime.fromISO(date, { locale: t.locale }).toLocaleString(
+      labelFormat
+    ),
+    value: (totals[date] || {})[kid] || 0,
+  }));
+  let best = days[0];
+  let worst = days[0];
+  for (const day of days) {
+    if (day.value > best.value) best = day;
+    if (day.value < worst.value) worst = day;
+  }
+  if (best.value === worst.value) return null;
+  return { best, worst };
+}
+
+function buildKidPoints(t, key, kids, values) {
+  return kids.map((kid) =>
+    t(key, { kid, points: formatPoints(t, values[kid] || 0) })
+  );
+}
+
+function buildSummarySpeech(t, period, now, kids, totals, dates, range = null) {
+  if (period === 'range') {
+    const values = aggregateTotals(totals, dates, kids);
+    const key = range.end < now.startOf('day') ? 'kidHad' : 'kidHas';
+    return t('summary.range', {
+      phrase: range.phrase,
+      list: t.list(buildKidPoints(t, key, kids, values)),
+    });
+  }
+  const values =
+    period === 'today'
+      ? totals[now.toISODate()] || {}
+      : aggregateTotals(totals, dates, kids);
+  const list = t.list(buildKidPoints(t, 'kidHas', kids, values));
+  return t(`summary.${period}`, { list });
+}
+
+function buildBalanceSpeech(t, kids, balances) {
+  const parts = buildKidPoints(t, 'kidHas', kids, balances);
+  return t('balance', { list: t.list(parts) });
+}
+
+function buildGoalSpeech(t, kids, goals) {
+  const parts = [];
+  for (const kid of kids) {
+    const goal = goals[kid];
+    if (!goal) continue;
+    const goalText = t(`goal.${goal.period}`);
+    if (goal.met) {
+      const streak =
+        goal.streak > 1
+          ? t(`goal.streak.${goal.period}`, { count: goal.streak })
+          : '';
+      parts.push(t('goal.met', { kid, goal: goalText, streak }));
+    } else {
+      const purpose =
+        goal.streak > 0
+          ? t(`goal.keepStreak.${goal.period}`, { count: goal.streak })
+          : t('goal.reach', { goal: goalText });
+      const count = goal.amount - goal.progress;
+      parts.push(t('goal.needs', { kid, count, purpose }));
+    }
+  }
+  if (parts.length === 0) return '';
+  return `${capitalize(t.list(parts))}.`;
+}
+
+function buildTodaySpeech(t, config, summaryData) {
+  let speakOutput = buildSummarySpeech(
+    t,
+    'today',
+    summaryData.now,
+    config.kids,
+    summaryData.totals,
+    summaryData.dates
+  );
+  if (summaryData.balances) {
+    speakOutput += ` ${buildBalanceSpeech(
+      t,
+      config.kids,
+      summaryData.balances
+    )}`;
+  }
+  if (summaryData.goals) {
+    speakOutput += ` ${buildGoalSpeech(t, config.kids, summaryData.goals)}`;
+  }
+  return speakOutput;
+}
+
+// Competition ranking: tied kids share a rank and the next rank is skipped,
+// so two kids tied for first are followed by third place.
+function rankKids(kids, values) {
+  const sorted = [...kids].sort((a, b) => (values[b] || 0) - (values[a] || 0));
+  let rank = 0;
+  return sorted.map((name, idx) => {
+    const value = values[name] || 0;
+    if (idx === 0 || value !== (values[sorted[idx - 1]] || 0)) {
+      rank = idx + 1;
+    }
+    return { name, value, rank };
+  });
+}
+
+function groupRanking(ranking) {
+  const groups = [];
+  for (const entry of ranking) {
+    const last = groups[groups.length - 1];
+    if (last && last.rank === entry.rank) {
+      last.names.push(entry.name);
+    } else {
+      groups.push({
+        rank: entry.rank,
+        value: entry.value,
+        names: [entry.name],
+      });
+    }
+  }
+  return groups;
+}
+
+function percentChange(current, previous) {
+  if (previous === 0) return null;
+  return Math.round(((current - previous) / Math.abs(previous)) * 100);
+}
+
+function buildLeaderboardSpeech(t, period, ranking) {
+  const intro = capitalize(t(`period.${period}`));
+  if (ranking.length === 1) {
+    const points = formatPoints(t, ranking[0].value);
+    return t('leaderboard.single', { intro, kid: ranking[0].name, points });
+  }
+
+  const groups = groupRanking(ranking);
+  const [first, ...rest] = groups;
+  if (rest.length === 0) {
+    const points = formatPoints(t, first.value);
+    return t('leaderboard.tied', { intro, points });
+  }
+
+  const describeGroup = (group, one, many) =>
+    group.names.length === 1
+      ? t(one, { kid: group.names[0], points: formatPoints(t, group.value) })
+      : t(many, {
+          kids: t.list(group.names),
+          points: formatPoints(t, group.value),
+        });
+  const lead = describeGroup(
+    first,
+    'leaderboard.leader',
+    'leaderboard.leaders'
+  );
+  const others = rest.map((group) =>
+    describeGroup(group, 'leaderboard.other', 'leaderboard.others')
+  );
+  return t('leaderboard.full', { intro, lead, others: t.list(others) });
+}
+
+function buildChangeSpeech(t, kid, current, previous, period) {
+  const base = t('compare.base', {
+    kid,
+    points: formatPoints(t, current),
+    period: t(`period.${period}`),
+  });
+  const previousText = t(`previous.${period}`);
+  if (current === previous) {
+    return t('compare.same', { base, previous: previousText });
+  }
+  const direction = t(current > previous ? 'compare.up' : 'compare.down');
+  const change = percentChange(current, previous);
+  const changeText =
+    change === null
+      ? direction
+      : t('compare.percent', { direction, count: Math.abs(change) });
+  return t('compare.changed', {
+    base,
+    change: changeText,
+    points: formatPoints(t, previous),
+    previous: previousText,
+  });
+}
+
+function buildWhoGaveSpeech(t, person, entries, periodText) {
+  const byAdult = new Map();
+  for (const entry of entries) {
+    byAdult.set(entry.who, (byAdult.get(entry.who) || 0) + entry.delta);
+  }
+  if (byAdult.size === 0) {
+    return t('whoGave.none', { kid: person, period: periodText });
+  }
+
+  const parts = [...byAdult.entries()].map(([who, total]) =>
+    t(total >= 0 ? 'whoGave.gave' : 'whoGave.took', {
+      adult: speakAdult(t, who),
+      kid: person,
+      points: formatPoints(t, Math.abs(total)),
+    })
+  );
+  return t('whoGave.summary', {
+    intro: capitalize(periodText),
+    list: t.list(parts),
+  });
+}
+
+function buildRewardsSpeech(t, rewards) {
+  const parts = rewards.map((reward) =>
+    t('reward.item', {
+      reward: reward.name,
+      points: formatPoints(t, reward.cost),
+    })
+  );
+  return t.list(parts);
+}
+
+const CanFulfillIntentRequestHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) ===
+      'CanFulfillIntentRequest'
+    );
+  },
+  handle(handlerInput) {
+    const intent = handlerInput.requestEnvelope.request.intent || {};
+    const intentName = intent.name;
+
+    if (intentName === 'AdjustPointsIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        personTwo: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        personThree: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        group: { canUnderstand: 'YES', canFulfill: 'YES' },
+        date: { canUnderstand: 'YES', canFulfill: 'YES' },
+        delta: { canUnderstand: 'YES', canFulfill: 'YES' },
+        direction: { canUnderstand: 'YES', canFulfill: 'YES' },
+        reason: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'AddKidIntent') {
+      return buildCanFulfillResponse('YES', {
+        kid: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'RemoveKidIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+      });
+    }
+
+    if (intentName === 'RenameKidIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        newName: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'SetNicknameIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        nickname: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'RemoveNicknameIntent') {
+      return buildCanFulfillResponse('YES', {
+        nickname: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+      });
+    }
+
+    if (intentName === 'ReasonsIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        period: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'KidSummaryIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        period: { canUnderstand: 'YES', canFulfill: 'YES' },
+        date: { canUnderstand: 'YES', canFulfill: 'YES' },
+        duration: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'LeaderboardIntent') {
+      return buildCanFulfillResponse('YES', {
+        period: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'CompareIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        period: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'SummaryIntent') {
+      return buildCanFulfillResponse('YES', {
+        period: { canUnderstand: 'YES', canFulfill: 'YES' },
+        date: { canUnderstand: 'YES', canFulfill: 'YES' },
+        duration: { canUnderstand: 'YES', canFulfill: 'YES' },
+        adult: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+      });
+    }
+
+    if (intentName === 'WhoGavePointsIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        period: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'SetAdultNameIntent') {
+      return buildCanFulfillResponse('YES', {
+        adult: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'ConfigureKidsIntent') {
+      return buildCanFulfillResponse('YES', {
+        kids: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'UndoIntent') {
+      return buildCanFulfillResponse('YES');
+    }
+
+    if (intentName === 'SetRewardIntent') {
+      return buildCanFulfillResponse('YES', {
+        reward: { canUnderstand: 'YES', canFulfill: 'YES' },
+        cost: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (
+      intentName === 'RedeemRewardIntent' ||
+      intentName === 'RemoveRewardIntent'
+    ) {
+      return buildCanFulfillResponse('YES', {
+        reward: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+      });
+    }
+
+    if (intentName === 'SetGoalIntent') {
+      return buildCanFulfillResponse('YES', {
+        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+        amount: { canUnderstand: 'YES', canFulfill: 'YES' },
+        goalPeriod: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'ListRewardsIntent') {
+      return buildCanFulfillResponse('YES');
+    }
+
+    if (intentName === 'SetTimezoneIntent') {
+      return buildCanFulfillResponse('YES', {
+        timezone: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
+      });
+    }
+
+    if (intentName === 'JoinFamilyIntent') {
+      return buildCanFulfillResponse('YES', {
+        code: { canUnderstand: 'YES', canFulfill: 'MAYBE' },
+      });
+    }
+
+    if (
+      intentName === 'ShareFamilyIntent' ||
+      intentName === 'StopSharingFamilyIntent'
+    ) {
+      return buildCanFulfillResponse('YES');
+    }
+
+    if (intentName === 'DailySummaryIntent') {
+      return buildCanFulfillResponse('YES', {
+        time: { canUnderstand: 'YES', canFulfill: 'YES' },
+      });
+    }
+
+    if (intentName === 'StopDailySummaryIntent') {
+      return buildCanFulfillResponse('YES');
+    }
+
+    return buildCanFulfillResponse('NO');
+  },
+};
+
+const LaunchRequestHandler = {
+  canHandle(handlerInput) {
+    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const summaryData = await buildSummaryData(t, config);
+    const speakOutput = buildTodaySpeech(t, config, summaryData);
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+
+    addTrendDirective(handlerInput, responseBuilder, summaryData, config.kids);
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const ConfigureKidsIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'ConfigureKidsIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const t = getTranslator(handlerInput);
+    const rawKids = getSlotValue(handlerInput, 'kids');
+    const kids = parseKidsInput(t, rawKids);
+    if (kids.length === 0) {
+      return handlerInput.responseBuilder
+        .speak(t('configure.noNames'))
+        .reprompt(t('askKidNames'))
+        .getResponse();
+    }
+
+    const userId = getUserId(handlerInput);
+    const existing = await getFamilyConfig(handlerInput);
+    const changes = { kids };
+    if (!existing) {
+      changes.timezone = (await getDeviceTimezone(handlerInput)) || '';
+    }
+    const saved = await saveFamilyConfig(
+      existing ? existing.userId : userId,
+      changes,
+      existing,
+      handlerInput
+    );
+
+    const speakOutput = t('configure.done', {
+      kids: t.list(saved.kids),
+      kid: saved.kids[0],
+    });
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, saved.kids, saved.nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const AddKidIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'AddKidIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const name = normalizeName(getSlotValue(handlerInput, 'kid'));
+    let speakOutput = '';
+    if (!name) {
+      speakOutput = t('addKid.ask');
+    } else if (findExactKid(name, config.kids)) {
+      speakOutput = t('addKid.exists', { kid: name });
+    } else if (config.kids.length >= MAX_KIDS) {
+      speakOutput = t('addKid.tooMany', { count: MAX_KIDS, kid: name });
+    }
+    if (speakOutput) {
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t));
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const kids = [...config.kids, name];
+    await saveFamilyConfig(config.userId, { kids }, config, handlerInput);
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(t('addKid.done', { kid: name, kids: t.list(kids) }))
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, kids, config.nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const RemoveKidIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'RemoveKidIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    const t = getTranslator(handlerInput);
+    let speakOutput = '';
+    if (!person) {
+      speakOutput = t('removeKid.ask', { kids: t.list(config.kids) });
+    } else if (config.kids.length === 1) {
+      speakOutput = t('removeKid.onlyOne', { kid: person });
+    }
+    if (speakOutput) {
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t));
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const intent = handlerInput.requestEnvelope.request.intent;
+    if (intent.confirmationStatus === 'NONE') {
+      return handlerInput.responseBuilder
+        .speak(t('removeKid.confirm', { kid: person }))
+        .reprompt(t('removeKid.reprompt', { kid: person }))
+        .addConfirmIntentDirective(intent)
+        .getResponse();
+    }
+
+    if (intent.confirmationStatus === 'DENIED') {
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(t('removeKid.kept', { kid: person }))
+        .reprompt(buildFollowUpPrompt(t));
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const kids = config.kids.filter((kid) => kid !== person);
+    const goals = { ...config.goals };
+    delete goals[person];
+    const nicknames = { ...config.nicknames };
+    delete nicknames[person];
+    await saveFamilyConfig(
+      config.userId,
+      { kids, goals, nicknames },
+      config,
+      handlerInput
+    );
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(t('removeKid.done', { kid: person, kids: t.list(kids) }))
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, kids, nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const RenameKidIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'RenameKidIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    const newName = normalizeName(getSlotValue(handlerInput, 'newName'));
+    const t = getTranslator(handlerInput);
+    let speakOutput = '';
+    if (!person || !newName) {
+      speakOutput = t('rename.ask', { kid: config.kids[0] });
+    } else if (newName !== person && findExactKid(newName, config.kids)) {
+      speakOutput = t('addKid.exists', { kid: newName });
+    }
+    if (speakOutput) {
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t));
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    // Events store the child's name, so history is rewritten to follow the
+    // rename rather than left under the old name.
+    const kids = config.kids.map((kid) => (kid === person ? newName : kid));
+    const goals = { ...config.goals };
+    if (goals[person]) {
+      goals[newName] = goals[person];
+      delete goals[person];
+    }
+    const nicknames = { ...config.nicknames };
+    if (nicknames[person]) {
+      nicknames[newName] = nicknames[person].filter(
+        (nick) => nick.toLowerCase() !== newName.toLowerCase()
+      );
+      delete nicknames[person];
+    }
+    await renamePerson(config.tabName, person, newName);
+    await saveFamilyConfig(
+      config.userId,
+      { kids, goals, nicknames },
+      config,
+      handlerInput
+    );
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(t('rename.done', { kid: person, newName }))
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, kids, nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const SetNicknameIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetNicknameIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    const nickname = normalizeName(getSlotValue(handlerInput, 'nickname'));
+    const t = getTranslator(handlerInput);
+    const current = config.nicknames[person] || [];
+    const owner = nickname && findNicknameOwner(nickname, config.nicknames);
+    let speakOutput = '';
+    if (!person || !nickname) {
+      speakOutput = t('nickname.ask', { kid: config.kids[0] });
+    } else if (findExactKid(nickname, config.kids)) {
+      speakOutput = t('nickname.isKid', { nickname });
+    } else if (owner && owner !== person) {
+      speakOutput = t('nickname.taken', { nickname, kid: owner });
+    } else if (!owner && current.length >= MAX_NICKNAMES) {
+      speakOutput = t('nickname.tooMany', {
+        count: MAX_NICKNAMES,
+        kid: person,
+      });
+    }
+    if (speakOutput) {
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t));
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const nicknames = { ...config.nicknames };
+    if (!owner) {
+      nicknames[person] = [...current, nickname];
+      await saveFamilyConfig(
+        config.userId,
+        { nicknames },
+        config,
+        handlerInput
+      );
+    }
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(t('nickname.done', { nickname, kid: person }))
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const RemoveNicknameIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) ===
+        'RemoveNicknameIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const nickname = normalizeName(getSlotValue(handlerInput, 'nickname'));
+    const t = getTranslator(handlerInput);
+    const owner = nickname && findNicknameOwner(nickname, config.nicknames);
+    if (!owner) {
+      const speakOutput = nickname
+        ? t('nickname.unknown', { nickname })
+        : t('nickname.askRemove');
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t));
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const nicknames = { ...config.nicknames };
+    nicknames[owner] = nicknames[owner].filter(
+      (nick) => nick.toLowerCase() !== nickname.toLowerCase()
+    );
+    if (nicknames[owner].length === 0) delete nicknames[owner];
+    await saveFamilyConfig(config.userId, { nicknames }, config, handlerInput);
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(t('nickname.removed', { nickname, kid: owner }))
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const AdjustPointsIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'AdjustPointsIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+    resumePendingAdjust(handlerInput);
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const { targets, missing, unsure, guess } = resolveAdjustTargets(
+      handlerInput,
+      config
+    );
+    if (unsure) {
+      const intent = handlerInput.requestEnvelope.request.intent;
+      const updatedIntent = {
+        ...intent,
+        slots: {
+          ...intent.slots,
+          [unsure]: { name: unsure, value: guess, confirmationStatus: 'NONE' },
+        },
+      };
+      const speakOutput = t('adjust.checkKid', { kid: guess });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .addConfirmSlotDirective(unsure, updatedIntent);
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+    if (missing) {
+      const speakOutput = t('adjust.ask', { kids: t.list(config.kids) });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .addElicitSlotDirective(
+          missing,
+          elicitAdjustSlot(handlerInput, missing)
+        );
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const now = nowForFamily(config, t);
+    const entryDay = parseEntryDay(t, getSlotValue(handlerInput, 'date'), now);
+    if (entryDay && entryDay.error) {
+      const error = entryDay.error === 'tooLong' ? 'notDay' : entryDay.error;
+      const speakOutput = t(`entryError.${error}`, {
+        count: MAX_BACKDATE_DAYS,
+      });
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    const rawDirection = getSlotId(handlerInput, 'direction');
+    const direction = rawDirection ? rawDirection.toLowerCase() : 'add';
+    const rawDelta = getSlotValue(handlerInput, 'delta');
+    const amount = Math.max(1, Math.abs(toInt(rawDelta || 1)));
+    const negativeWords = [
+      'reduce',
+      'remove',
+      'minus',
+      'subtract',
+      'deduct',
+      'take away',
+      'takeaway',
+    ];
+    const isNegative = negativeWords.some((word) => direction.includes(word));
+    const delta = isNegative ? -amount : amount;
+
+    const deltaSlot = Alexa.getSlot(handlerInput.requestEnvelope, 'delta');
+    const deltaStatus = deltaSlot ? deltaSlot.confirmationStatus : 'NONE';
+    if (deltaStatus === 'DENIED') {
+      const speakOutput = t(
+        isNegative ? 'adjust.amountReduce' : 'adjust.amountAdd',
+        { kids: t.list(targets) }
+      );
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .addElicitSlotDirective(
+          'delta',
+          elicitAdjustSlot(handlerInput, 'delta')
+        )
+        .getResponse();
+    }
+    if (amount > CONFIRM_POINTS_ABOVE && deltaStatus !== 'CONFIRMED') {
+      const check = isNegative ? 'adjust.checkReduce' : 'adjust.checkAdd';
+      const question = t(check, { count: amount, kids: t.list(targets) });
+      return handlerInput.responseBuilder
+        .speak(`${t('adjust.large')} ${question}`)
+        .reprompt(question)
+        .addConfirmSlotDirective(
+          'delta',
+          handlerInput.requestEnvelope.request.intent
+        )
+        .getResponse();
+    }
+    const reason = parseReason(t, getSlotValue(handlerInput, 'reason'));
+
+    // Every event in a batch shares one timestamp, which is what lets a
+    // single undo reverse the whole batch. Backdated events keep the real
+    // timestamp and only move the date they count towards.
+    const who = getAdultName(handlerInput, config);
+    const date = entryDay ? entryDay.start.toISODate() : now.toISODate();
+    const events = targets.map((person) => ({
+      timestamp_iso: now.toISO(),
+      date,
+      person,
+      delta,
+      who,
+      note: reason || (delta > 0 ? `Added ${amount}` : `Reduced ${amount}`),
+      request_id: getRequestId(handlerInput),
+    }));
+
+    await appendEvents(events, config.tabName);
+
+    const summaryData = entryDay
+      ? await buildSummaryData(t, config, 'range', { range: entryDay })
+      : await buildSummaryData(t, config);
+    const dayTotals = summaryData.totals[date] || {};
+
+    const action = delta > 0 ? 'adjust.added' : 'adjust.reduced';
+    const details = {
+      count: amount,
+      reason: reason ? t('adjust.reason', { reason }) : '',
+      when: '',
+    };
+    if (entryDay) {
+      details.when =
+        entryDay.name === 'yesterday'
+          ? t('adjust.yesterday')
+          : t('adjust.onDay', { day: entryDay.label });
+    }
+    let speakOutput = '';
+    if (targets.length === 1) {
+      const person = targets[0];
+      speakOutput = `${t(action, { ...details, kid: person })} ${t(
+        entryDay ? 'adjust.kidThatDay' : 'adjust.kidToday',
+        { kid: person, points: formatPoints(t, dayTotals[person] || 0) }
+      )}`;
+    } else {
+      const parts = buildKidPoints(
+        t,
+        entryDay ? 'kidHad' : 'kidHas',
+        targets,
+        dayTotals
+      );
+      speakOutput = `${t(`${action}Each`, {
+        ...details,
+        kids: t.list(targets),
+      })} ${t(entryDay ? 'adjust.thatDay' : 'summary.today', {
+        list: t.list(parts),
+      })}`;
+    }
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+
+    addTrendDirective(handlerInput, responseBuilder, summaryData, config.kids);
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const SummaryIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'SummaryIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const range = parseSummaryRange(
+      t,
+      getSlotValue(handlerInput, 'date'),
+      getSlotValue(handlerInput, 'duration'),
+      nowForFamily(config, t)
+    );
+    if (range && range.error) {
+      const speakOutput = buildRangeErrorSpeech(t, range.error);
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    const rawPeriod = getSlotId(handlerInput, 'period');
+    const period = range ? 'range' : parseSummaryPeriod(rawPeriod);
+    const rawAdult = getSlotValue(handlerInput, 'adult');
+    const adult = findAdultName(t, rawAdult, config.adults);
+    if (rawAdult && !adult) {
+      const known = [...Object.values(config.adults), t('defaultAdult')];
+      const speakOutput = t('adult.unknown', {
+        adult: rawAdult,
+        adults: t.list(known),
+      });
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    const summaryData = await buildSummaryData(t, config, period, {
+      adult,
+      range,
+    });
+    let speakOutput = buildSummarySpeech(
+      t,
+      period,
+      summaryData.now,
+      config.kids,
+      summaryData.totals,
+      summaryData.dates,
+      range
+    );
+    if (adult) {
+      const fromAdult = t('summary.fromAdult', {
+        adult: speakAdult(t, adult),
+      });
+      speakOutput = `${fromAdult} ${speakOutput}`;
+    }
+    if (summaryData.balances) {
+      speakOutput += ` ${buildBalanceSpeech(
+        t,
+        config.kids,
+        summaryData.balances
+      )}`;
+    }
+    if (summaryData.goals) {
+      speakOutput += ` ${buildGoalSpeech(t, config.kids, summaryData.goals)}`;
+    }
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+
+    const summaryTotals =
+      period === 'today'
+        ? null
+        : aggregateTotals(summaryData.totals, summaryData.dates, config.kids);
+    addTrendDirective(
+      handlerInput,
+      responseBuilder,
+      summaryData,
+      config.kids,
+      summaryTotals
+    );
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const KidSummaryIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'KidSummaryIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    const t = getTranslator(handlerInput);
+    if (!person) {
+      const speakOutput = t('kidSummary.ask', { kids: t.list(config.kids) });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput);
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const range = parseSummaryRange(
+      t,
+      getSlotValue(handlerInput, 'date'),
+      getSlotValue(handlerInput, 'duration'),
+      nowForFamily(config, t)
+    );
+    if (range && range.error) {
+      const speakOutput = buildRangeErrorSpeech(t, range.error);
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    const period = range
+      ? 'range'
+      : parseSummaryPeriod(getSlotId(handlerInput, 'period'));
+    const summaryData = await buildSummaryData(t, config, period, {
+      kid: person,
+      range,
+    });
+    const periodDates =
+      period === 'today' ? [summaryData.now.toISODate()] : summaryData.dates;
+    const total = aggregateTotals(summaryData.totals, periodDates, [person])[
+      person
+    ];
+
+    let speakOutput = '';
+    if (period === 'range') {
+      const key =
+        range.end < summaryData.now.startOf('day') ? 'kidHad' : 'kidHas';
+      speakOutput = t('summary.range', {
+        phrase: range.phrase,
+        list: t(key, { kid: person, points: formatPoints(t, total) }),
+      });
+    } else {
+      speakOutput = t('kidSummary.period', {
+        kid: person,
+        points: formatPoints(t, total),
+        period: t(`period.${period}`),
+      });
+    }
+
+    const days = findBestAndWorstDays(
+      t,
+      summaryData.totals,
+      periodDates,
+      person
+    );
+    if (days) {
+      speakOutput += ` ${t('kidSummary.days', {
+        best: days.best.label,
+        bestPoints: formatPoints(t, days.best.value),
+        worst: days.worst.label,
+        worstPoints: formatPoints(t, days.worst.value),
+      })}`;
+    }
+    if (summaryData.balances) {
+      speakOutput += ` ${t('kidSummary.balance', {
+        kid: person,
+        points: formatPoints(t, summaryData.balances[person] || 0),
+      })}`;
+    }
+    if (summaryData.goals) {
+      const goalSpeech = buildGoalSpeech(t, [person], summaryData.goals);
+      if (goalSpeech) speakOutput += ` ${goalSpeech}`;
+    }
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    addKidDirective(
+      handlerInput,
+      responseBuilder,
+      summaryData,
+      person,
+      period === 'today' ? null : { [person]: total },
+      days
+    );
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const LeaderboardIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'LeaderboardIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const period = parseSummaryPeriod(getSlotId(handlerInput, 'period'));
+    const summaryData = await buildSummaryData(t, config, period, {
+      previous: true,
+    });
+    const values = aggregateTotals(
+      summaryData.totals,
+      period === 'today' ? [summaryData.now.toISODate()] : summaryData.dates,
+      config.kids
+    );
+    const ranking = rankKids(config.kids, values);
+    const speakOutput = buildLeaderboardSpeech(t, period, ranking);
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    addLeaderboardDirective(
+      handlerInput,
+      responseBuilder,
+      ranking,
+      summaryData.previous,
+      t('chart.leaderboard', { label: summaryData.summaryLabel }),
+      summaryData.rangeLabel
+    );
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const CompareIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'CompareIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const rawPerson = getSlotValue(handlerInput, 'person');
+    const person = normalizeKidName(rawPerson, config.kids, config.nicknames);
+    const t = getTranslator(handlerInput);
+    if (rawPerson && !person) {
+      const speakOutput = t('compare.ask', { kids: t.list(config.kids) });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput);
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    // Without a period this answers the common "compared to last week".
+    const rawPeriod = getSlotId(handlerInput, 'period');
+    const period = rawPeriod ? parseSummaryPeriod(rawPeriod) : 'week';
+    const summaryData = await buildSummaryData(t, config, period, {
+      previous: true,
+    });
+    const values = aggregateTotals(
+      summaryData.totals,
+      period === 'today' ? [summaryData.now.toISODate()] : summaryData.dates,
+      config.kids
+    );
+    const kids = person ? [person] : config.kids;
+    const parts = kids.map((kid) =>
+      buildChangeSpeech(
+        t,
+        kid,
+        values[kid] || 0,
+        summaryData.previous[kid] || 0,
+        period
+      )
+    );
+    const speakOutput = `${parts.join('. ')}.`;
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    addLeaderboardDirective(
+      handlerInput,
+      responseBuilder,
+      rankKids(kids, values),
+      summaryData.previous,
+      t(`chart.compare.${period}`),
+      summaryData.rangeLabel
+    );
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const ReasonsIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'ReasonsIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    const t = getTranslator(handlerInput);
+    if (!person) {
+      const speakOutput = t('reasons.ask', { kids: t.list(config.kids) });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput);
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const period = parseSummaryPeriod(getSlotId(handlerInput, 'period'));
+    const summaryData = await buildSummaryData(t, config, period);
+    const periodText = t(`period.${period}`);
+    const entries = summaryData.reasons.filter(
+      (entry) => entry.person === person
+    );
+    const speakOutput = buildReasonsSpeech(t, person, entries, periodText);
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    addTrendDirective(
+      handlerInput,
+      responseBuilder,
+      { ...summaryData, reasons: entries },
+      config.kids
+    );
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const UndoIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'UndoIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const events = await readEvents(config.tabName);
+    const target = findUndoTarget(events);
+    if (!target) {
+      return handlerInput.responseBuilder
+        .speak(t('undo.nothing'))
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    // The log stays append-only: a compensating event on the original date
+    // cancels the change, and its ref stops it being undone twice. It has no
+    // note of its own; readers describe it from the change it refs.
+    const now = nowForFamily(config, t);
+    const batch = events.filter(
+      (event) =>
+        event.timestamp_iso === target.timestamp_iso && event.type !== 'undo'
+    );
+    await appendEvents(
+      batch.map((event) => ({
+        timestamp_iso: now.toISO(),
+        date: event.date,
+        person: event.person,
+        delta: -event.delta,
+        who: getAdultName(handlerInput, config),
+        note: '',
+        type: 'undo',
+        ref: event.timestamp_iso,
+        request_id: getRequestId(handlerInput),
+      })),
+      config.tabName
+    );
+
+    // A backdated change is undone on the day it counted towards, so the
+    // reply names that day and gives its totals.
+    const entryDay =
+      target.date === now.toISODate()
+        ? null
+        : parseSummaryRange(t, target.date, null, now);
+    const summaryData = entryDay
+      ? await buildSummaryData(t, config, 'range', { range: entryDay })
+      : await buildSummaryData(t, config);
+    const dayTotals = summaryData.totals[target.date] || {};
+    const people = batch.map((event) => normalizeName(event.person));
+    const person = people[0];
+    const amount = Math.abs(target.delta);
+    const action = target.delta >= 0 ? 'undo.added' : 'undo.reduced';
+    let when = '';
+    if (entryDay) {
+      when =
+        entryDay.name === 'yesterday'
+          ? t('adjust.yesterday')
+          : t('adjust.onDay', { day: entryDay.label });
+    }
+    let speakOutput = '';
+    if (target.type === 'redeem') {
+      speakOutput = t('undo.redeem', {
+        reward: target.note,
+        kid: person,
+        points: formatPoints(t, amount),
+      });
+    } else if (people.length > 1) {
+      const parts = buildKidPoints(
+        t,
+        entryDay ? 'kidHad' : 'kidHas',
+        people,
+        dayTotals
+      );
+      speakOutput = `${t(`${action}Each`, {
+        count: amount,
+        kids: t.list(people),
+        when,
+      })} ${t(entryDay ? 'adjust.thatDay' : 'summary.today', {
+        list: t.list(parts),
+      })}`;
+    } else {
+      speakOutput = `${t(action, { count: amount, kid: person, when })} ${t(
+        entryDay ? 'adjust.kidThatDay' : 'adjust.kidToday',
+        { kid: person, points: formatPoints(t, dayTotals[person] || 0) }
+      )}`;
+    }
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    addTrendDirective(handlerInput, responseBuilder, summaryData, config.kids);
+
+    return responseBuilder.getResponse();
+  },
+};
+
+const SetRewardIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetRewardIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const name = normalizeRewardName(getSlotValue(handlerInput, 'reward'));
+    const cost = Math.abs(toInt(getSlotValue(handlerInput, 'cost')));
+    if (!name || cost === 0) {
+      const speakOutput = t('reward.ask');
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const rewards = config.rewards.filter((reward) => reward.name !== name);
+    rewards.push({ name, cost });
+    await saveFamilyConfig(config.userId, { rewards }, config, handlerInput);
+
+    const speakOutput = t('reward.set', {
+      reward: name,
+      points: formatPoints(t, cost),
+      kid: config.kids[0],
+    });
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const RemoveRewardIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'RemoveRewardIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const reward = findReward(
+      getSlotValue(handlerInput, 'reward'),
+      config.rewards
+    );
+    if (!reward) {
+      const speakOutput =
+        config.rewards.length > 0
+          ? t('reward.notFound', {
+              rewards: buildRewardsSpeech(t, config.rewards),
+            })
+          : t('reward.noneSetUp');
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    const rewards = config.rewards.filter((r) => r.name !== reward.name);
+    await saveFamilyConfig(config.userId, { rewards }, config, handlerInput);
+
+    return handlerInput.responseBuilder
+      .speak(t('reward.removed', { reward: reward.name }))
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
+  },
+};
+
+const ListRewardsIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'ListRewardsIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const speakOutput =
+      config.rewards.length > 0
+        ? t('reward.list', { rewards: buildRewardsSpeech(t, config.rewards) })
+        : t('reward.empty');
+    return handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
+  },
+};
+
+const RedeemRewardIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'RedeemRewardIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const reward = findReward(
+      getSlotValue(handlerInput, 'reward'),
+      config.rewards
+    );
+    if (!reward) {
+      const speakOutput =
+        config.rewards.length > 0
+          ? t('redeem.askReward', {
+              rewards: buildRewardsSpeech(t, config.rewards),
+            })
+          : t('reward.empty');
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    if (!person) {
+      const speakOutput = t('redeem.askKid', {
+        reward: reward.name,
+        kids: t.list(config.kids),
+      });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput);
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const events = await readEvents(config.tabName);
+    const balance = buildBalances(events, config.kids)[person] || 0;
+    if (balance < reward.cost) {
+      const speakOutput = t('redeem.notEnough', {
+        kid: person,
+        points: formatPoints(t, balance),
+        reward: reward.name,
+        cost: formatPoints(t, reward.cost),
+      });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t));
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const now = nowForFamily(config);
+    await appendEvent(
+      {
+        timestamp_iso: now.toISO(),
+        date: now.toISODate(),
+        person,
+        delta: -reward.cost,
+        who: getAdultName(handlerInput, config),
+        note: reward.name,
+        type: 'redeem',
+        request_id: getRequestId(handlerInput),
+      },
+      config.tabName
+    );
+
+    const speakOutput = t('redeem.done', {
+      kid: person,
+      reward: reward.name,
+      cost: formatPoints(t, reward.cost),
+      points: formatPoints(t, balance - reward.cost),
+    });
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const SetGoalIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetGoalIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    const rawAmount = getSlotValue(handlerInput, 'amount');
+    const t = getTranslator(handlerInput);
+    if (!person || rawAmount === null) {
+      const speakOutput = t('setGoal.ask', { kid: config.kids[0] });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput);
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const amount = Math.abs(toInt(rawAmount));
+    const period = parseGoalPeriod(getSlotId(handlerInput, 'goalPeriod'));
+    const goals = { ...config.goals };
+    let speakOutput = '';
+    if (amount === 0) {
+      delete goals[person];
+      speakOutput = t('setGoal.cleared', { kid: person });
+    } else {
+      goals[person] = { amount, period };
+      speakOutput = t(`setGoal.${period}`, {
+        kid: person,
+        points: formatPoints(t, amount),
+      });
+    }
+    await saveFamilyConfig(config.userId, { goals }, config, handlerInput);
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const WhoGavePointsIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) ===
+        'WhoGavePointsIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const person = normalizeKidName(
+      getSlotValue(handlerInput, 'person'),
+      config.kids,
+      config.nicknames
+    );
+    const t = getTranslator(handlerInput);
+    if (!person) {
+      const speakOutput = t('reasons.ask', { kids: t.list(config.kids) });
+      const responseBuilder = handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput);
+      addDynamicKids(responseBuilder, config.kids, config.nicknames);
+      return responseBuilder.getResponse();
+    }
+
+    const period = parseSummaryPeriod(getSlotId(handlerInput, 'period'));
+    const summaryData = await buildSummaryData(t, config, period);
+    const periodText = t(`period.${period}`);
+    const entries = summaryData.reasons.filter(
+      (entry) => entry.person === person
+    );
+    const speakOutput = buildWhoGaveSpeech(t, person, entries, periodText);
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, config.kids, config.nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const SetAdultNameIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetAdultNameIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const personId = getPersonId(handlerInput);
+    if (!personId) {
+      return handlerInput.responseBuilder
+        .speak(t('adult.noVoice'))
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    const name = normalizeName(getSlotValue(handlerInput, 'adult'));
+    if (!name) {
+      const speakOutput = t('adult.ask');
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const adults = { ...config.adults, [personId]: name };
+    await saveFamilyConfig(config.userId, { adults }, config, handlerInput);
+
+    return handlerInput.responseBuilder
+      .speak(t('adult.done', { adult: name }))
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
+  },
+};
+
+const SetTimezoneIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'SetTimezoneIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
+    }
+
+    const t = getTranslator(handlerInput);
+    const rawTimezone = getSlotValue(handlerInput, 'timezone');
+    let timezone = getSlotResolutionId(handlerInput, 'timezone');
+    if (!timezone && rawTimezone && isValidTimezone(rawTimezone)) {
+      timezone = rawTimezone;
+    }
+    if (!timezone && !rawTimezone) {
+      timezone = await getDeviceTimezone(handlerInput);
+    }
+
+    if (!isValidTimezone(timezone)) {
+      const speakOutput = t('timezone.unknown');
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
+    }
+
+    const saved = await saveFamilyConfig(
+      config.userId,
+      { timezone },
+      config,
+      handlerInput
+    );
+    const speakOutput = t('timezone.done', {
+      timezone: rawTimezone || t('timezone.device'),
+      time: nowForFamily(saved, t).toLocaleString(HOUR_MINUTE),
+    });
+
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, saved.kids, saved.nicknames);
+    return responseBuilder.getResponse();
+  },
+};
+
+const ShareFamilyIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'ShareFamilyIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return promptForKids(handlerInput);
     }
-  }
-  return summary;
-}
-
-function parseSummaryPeriod(raw) {
-  if (!raw) return 'today';
-  const text = raw.toLowerCase();
-  if (text.includes('week')) return 'week';
-  if (text.includes('month')) return 'month';
-  return 'today';
-}
 
-function buildSummarySpeech(period, now, kids, totals, dates) {
-  let values = {};
+    // Active codes must be unique, since joining looks the family up by
+    // code alone.
+    const now = DateTime.now();
+    const families = await getStore().readFamilies();
+    const taken = new Set(
+      families
+        .filter((family) => isInviteActive(family, now))
+        .map((family) => family.inviteCode)
+    );
+    const code = generateInviteCode(taken);
+    await saveFamilyConfig(
+      config.userId,
+      {
+        inviteCode: code,
+        inviteExpires: now.plus({ hours: INVITE_TTL_HOURS }).toISO(),
+      },
+      config,
+      handlerInput
+    );
 
-  if (period === 'week') {
-    values = aggregateTotals(totals, dates, kids);
-    const parts = kids.map((kid) => `${kid} has ${formatPoints(values[kid] || 0)}`);
-    return `The weekly summary is ${joinWithAnd(parts)}.`;
-  } else if (period === 'month') {
-    values = aggregateTotals(totals, dates, kids);
-    const parts = kids.map((kid) => `${kid} has ${formatPoints(values[kid] || 0)}`);
-    return `The monthly summary is ${joinWithAnd(parts)}.`;
-  } else {
-    const today = now.toISODate();
-    values = totals[today] || {};
-    const parts = kids.map((kid) => `${kid} has ${formatPoints(values[kid] || 0)}`);
-    return `Today, ${joinWithAnd(parts)}.`;
-  }
-}
+    const t = getTranslator(handlerInput);
+    const speakOutput = t('share.code', {
+      code: spellCode(code),
+      count: INVITE_TTL_HOURS,
+    });
+    return handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
+  },
+};
 
-const CanFulfillIntentRequestHandler = {
+const JoinFamilyIntentHandler = {
   canHandle(handlerInput) {
     return (
-      Alexa.getRequestType(handlerInput.requestEnvelope) ===
-      'CanFulfillIntentRequest'
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'JoinFamilyIntent'
     );
   },
-  handle(handlerInput) {
-    const intent = handlerInput.requestEnvelope.request.intent || {};
-    const intentName = intent.name;
+  async handle(handlerInput) {
+    ensureConfig();
 
-    if (intentName === 'AdjustPointsIntent') {
-      return buildCanFulfillResponse('YES', {
-        person: { canUnderstand: 'MAYBE', canFulfill: 'MAYBE' },
-        delta: { canUnderstand: 'YES', canFulfill: 'YES' },
-        direction: { canUnderstand: 'YES', canFulfill: 'YES' },
-      });
+    const t = getTranslator(handlerInput);
+    const code = (getSlotValue(handlerInput, 'code') || '').replace(/\D/g, '');
+    if (code.length !== 4) {
+      const speakOutput = t('join.ask');
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(speakOutput)
+        .getResponse();
     }
 
-    if (intentName === 'SummaryIntent') {
-      return buildCanFulfillResponse('YES', {
-        period: { canUnderstand: 'YES', canFulfill: 'YES' },
-      });
+    const userId = getUserId(handlerInput);
+    const now = DateTime.now();
+    const mine = await loadFamilyRecord(userId);
+    const { lockedUntil } = joinAttempts(handlerInput, mine);
+    if (lockedUntil && DateTime.fromISO(lockedUntil) > now) {
+      return handlerInput.responseBuilder
+        .speak(t('join.locked'))
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
     }
 
-    if (intentName === 'ConfigureKidsIntent') {
-      return buildCanFulfillResponse('YES', {
-        kids: { canUnderstand: 'YES', canFulfill: 'YES' },
-      });
+    const store = getStore();
+    const families = await store.readFamilies();
+    const owner = families.find(
+      (family) =>
+        !family.owner &&
+        family.inviteCode === code &&
+        isInviteActive(family, now)
+    );
+
+    let speakOutput = null;
+    if (!owner) {
+      await recordJoinFailure(handlerInput, userId, mine, now);
+      speakOutput = t('join.notFound', { code: spellCode(code) });
+    } else if (owner.userId === userId) {
+      speakOutput = t('join.own');
+    } else if (families.some((family) => family.owner === userId)) {
+      // Accounts that joined this one would be left pointing at a member.
+      speakOutput = t('join.shared');
+    }
+    if (speakOutput) {
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
     }
 
-    return buildCanFulfillResponse('NO');
+    await saveFamilyConfig(
+      userId,
+      {
+        tabName: owner.tabName,
+        owner: owner.userId,
+        kids: [],
+        timezone: '',
+        rewards: [],
+        goals: {},
+        adults: {},
+        nicknames: {},
+        inviteCode: '',
+        inviteExpires: '',
+        joinFailures: 0,
+        joinLockedUntil: '',
+      },
+      mine ? familyFromRecord(mine) : null
+    );
+    // Codes are single use.
+    const saved = await saveFamilyConfig(
+      owner.userId,
+      { inviteCode: '', inviteExpires: '' },
+      familyFromRecord(owner),
+      handlerInput
+    );
+
+    speakOutput = t('join.done', { kids: t.list(saved.kids) });
+    if (mine && !mine.owner && mine.kids) {
+      speakOutput += ` ${t('join.replaced')}`;
+    }
+    const responseBuilder = handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t));
+    addDynamicKids(responseBuilder, saved.kids, saved.nicknames);
+    return responseBuilder.getResponse();
   },
 };
 
-const LaunchRequestHandler = {
+const StopSharingFamilyIntentHandler = {
   canHandle(handlerInput) {
-    return Alexa.getRequestType(handlerInput.requestEnvelope) === 'LaunchRequest';
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) ===
+        'StopSharingFamilyIntent'
+    );
   },
   async handle(handlerInput) {
     ensureConfig();
 
     const config = await getFamilyConfig(handlerInput);
-    if (!config || config.kids.length === 0) {
+    if (!config) {
       return promptForKids(handlerInput);
     }
 
-    const summaryData = await buildSummaryData(config.tabName, config.kids);
-    const speakOutput = buildSummarySpeech(
-      'today',
-      summaryData.now,
-      config.kids,
-      summaryData.totals,
-      summaryData.dates
-    );
+    const t = getTranslator(handlerInput);
+    const userId = getUserId(handlerInput);
+    const store = getStore();
+    if (config.userId !== userId) {
+      // A member leaving only drops its own link; the family stays as is.
+      await store.removeFamilyRows(await store.findFamilies(userId));
+      cacheFamilyRecord(handlerInput, null);
+      return handlerInput.responseBuilder
+        .speak(t('stopSharing.left'))
+        .reprompt(t('askKidNames'))
+        .getResponse();
+    }
 
-    const responseBuilder = handlerInput.responseBuilder
-      .speak(speakOutput)
-      .reprompt(buildFollowUpPrompt());
-    addDynamicKids(responseBuilder, config.kids);
-
-    if (supportsAPL(handlerInput)) {
-      const payload = buildTrendPayload(
-        summaryData.dates,
-        summaryData.labels,
-        summaryData.totals,
-        config.kids,
-        summaryData.title,
-        summaryData.summaryLabel,
-        null,
-        summaryData.rangeLabel
+    if (config.inviteCode) {
+      await saveFamilyConfig(
+        config.userId,
+        { inviteCode: '', inviteExpires: '' },
+        config,
+        handlerInput
       );
-      responseBuilder.addDirective({
-        type: 'Alexa.Presentation.APL.RenderDocument',
-        token: 'trend',
-        document: APL_DOC,
-        datasources: { payload },
-      });
     }
-
-    return responseBuilder.getResponse();
+    const members = (await store.readFamilies()).filter(
+      (family) => family.owner === config.userId
+    );
+    const removed = await store.removeFamilyRows(members);
+
+    let speakOutput;
+    if (removed > 0) {
+      speakOutput = t('stopSharing.done', { count: removed });
+    } else if (config.inviteCode) {
+      speakOutput = t('stopSharing.codeCancelled');
+    } else {
+      speakOutput = t('stopSharing.notShared');
+    }
+    return handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
   },
 };
 
-const ConfigureKidsIntentHandler = {
+const DeleteDataIntentHandler = {
   canHandle(handlerInput) {
     return (
       Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-      Alexa.getIntentName(handlerInput.requestEnvelope) === 'ConfigureKidsIntent'
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'DeleteDataIntent'
     );
   },
   async handle(handlerInput) {
     ensureConfig();
 
-    const rawKids = getSlotValue(handlerInput, 'kids');
-    const kids = parseKidsInput(rawKids);
-    if (kids.length === 0) {
-      const speakOutput =
-        'Sorry, I did not catch the names. Please say: my kids are ...';
+    const t = getTranslator(handlerInput);
+    const config = await getFamilyConfig(handlerInput);
+    if (!config) {
       return handlerInput.responseBuilder
-        .speak(speakOutput)
-        .reprompt('Please tell me your kids\' names.')
+        .speak(t('delete.nothing'))
         .getResponse();
     }
 
     const userId = getUserId(handlerInput);
-    const existing = await getFamilyConfig(handlerInput);
-    const saved = await saveFamilyConfig(userId, kids, existing);
+    const isMember = config.userId !== userId;
+    const intent = handlerInput.requestEnvelope.request.intent;
+    if (intent.confirmationStatus === 'NONE') {
+      const speakOutput = t(
+        isMember ? 'delete.confirmMember' : 'delete.confirmOwner'
+      );
+      return handlerInput.responseBuilder
+        .speak(speakOutput)
+        .reprompt(t('delete.reprompt'))
+        .addConfirmIntentDirective(intent)
+        .getResponse();
+    }
+
+    if (intent.confirmationStatus === 'DENIED') {
+      return handlerInput.responseBuilder
+        .speak(t('delete.kept'))
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
 
-    const speakOutput = `Great. I will track points for ${joinWithAnd(
-      saved.kids
-    )}. You can say, add a point for ${saved.kids[0]}.`;
+    await deleteAccountData(userId);
+    cacheFamilyRecord(handlerInput, null);
 
-    const responseBuilder = handlerInput.responseBuilder
+    const speakOutput = t(isMember ? 'delete.doneMember' : 'delete.doneOwner');
+    return handlerInput.responseBuilder
       .speak(speakOutput)
-      .reprompt(buildFollowUpPrompt());
-    addDynamicKids(responseBuilder, saved.kids);
-    return responseBuilder.getResponse();
+      .withShouldEndSession(true)
+      .getResponse();
   },
 };
 
-const AdjustPointsIntentHandler = {
+const DailySummaryIntentHandler = {
   canHandle(handlerInput) {
     return (
       Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-      Alexa.getIntentName(handlerInput.requestEnvelope) === 'AdjustPointsIntent'
+      Alexa.getIntentName(handlerInput.requestEnvelope) === 'DailySummaryIntent'
     );
   },
   async handle(handlerInput) {
@@ -720,139 +3697,205 @@ const AdjustPointsIntentHandler = {
       return promptForKids(handlerInput);
     }
 
-    const rawPerson = getSlotValue(handlerInput, 'person');
-    const person = normalizeKidName(rawPerson, config.kids);
-    if (!person) {
-      const speakOutput = `Which child should I update? You can say ${joinWithAnd(
-        config.kids
-      )}.`;
-      const responseBuilder = handlerInput.responseBuilder
+    const t = getTranslator(handlerInput);
+    const rawTime = getSlotValue(handlerInput, 'time');
+    const daypart = getSlotId(handlerInput, 'daypart');
+    const summaryTime = parseSummaryTime(rawTime, daypart);
+    if (!summaryTime) {
+      const speakOutput = t('daily.askTime');
+      return handlerInput.responseBuilder
         .speak(speakOutput)
-        .reprompt(speakOutput);
-      addDynamicKids(responseBuilder, config.kids);
-      return responseBuilder.getResponse();
+        .reprompt(speakOutput)
+        .getResponse();
     }
 
-    const rawDirection = getSlotValue(handlerInput, 'direction');
-    const direction = rawDirection ? rawDirection.toLowerCase() : 'add';
-    const rawDelta = getSlotValue(handlerInput, 'delta');
-    const amount = Math.max(1, Math.abs(toInt(rawDelta || 1)));
-    const negativeWords = [
-      'reduce',
-      'remove',
-      'minus',
-      'subtract',
-      'deduct',
-      'take away',
-      'takeaway',
-    ];
-    const isNegative = negativeWords.some((word) => direction.includes(word));
-    const delta = isNegative ? -amount : amount;
-
-    const now = DateTime.now().setZone(TIMEZONE);
-    const event = {
-      timestamp_iso: now.toISO(),
-      date: now.toISODate(),
-      person,
-      delta,
-      who: 'Parent',
-      note: delta > 0 ? `Added ${amount}` : `Reduced ${amount}`,
-    };
+    // The schedule is saved before asking for permission, since the answer
+    // arrives as a separate request; a refusal turns it off again.
+    await saveAccountSettings(handlerInput, config, {
+      summaryTime,
+      summaryLocale: Alexa.getLocale(handlerInput.requestEnvelope),
+      summarySent: '',
+    });
+    if (!hasPermission(handlerInput, REMINDERS_PERMISSION)) {
+      return handlerInput.responseBuilder
+        .addDirective(buildPermissionRequest(REMINDERS_PERMISSION))
+        .getResponse();
+    }
 
-    await appendEvent(event, config.tabName);
+    let speakOutput = t('daily.set', {
+      time: formatSummaryTime(t, summaryTime),
+    });
+    // Read back the guess when an hour without a daypart became the evening.
+    if (!daypart && rawTime && summaryTime !== rawTime && rawTime < '12:00') {
+      speakOutput += ` ${t('daily.morningHint', {
+        time: formatSummaryTime(t, rawTime),
+      })}`;
+    }
+    return handlerInput.responseBuilder
+      .speak(speakOutput)
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
+  },
+};
 
-    const summaryData = await buildSummaryData(config.tabName, config.kids);
-    const todayTotals = summaryData.totals[summaryData.now.toISODate()] || {};
-    const todayTotal = todayTotals[person] || 0;
+const StopDailySummaryIntentHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
+      Alexa.getIntentName(handlerInput.requestEnvelope) ===
+        'StopDailySummaryIntent'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
 
-    const actionText = delta > 0 ? 'added' : 'reduced';
-    const speakOutput = `Okay, ${actionText} ${Math.abs(delta)} ${
-      Math.abs(delta) === 1 ? 'point' : 'points'
-    } for ${person}. ${person} has ${formatPoints(todayTotal)} today.`;
+    const config = await getFamilyConfig(handlerInput);
+    if (!config) {
+      return promptForKids(handlerInput);
+    }
 
-    const responseBuilder = handlerInput.responseBuilder
-      .speak(speakOutput)
-      .reprompt(buildFollowUpPrompt());
-    addDynamicKids(responseBuilder, config.kids);
-
-    if (supportsAPL(handlerInput)) {
-      const payload = buildTrendPayload(
-        summaryData.dates,
-        summaryData.labels,
-        summaryData.totals,
-        config.kids,
-        summaryData.title,
-        summaryData.summaryLabel,
-        null,
-        summaryData.rangeLabel
-      );
-      responseBuilder.addDirective({
-        type: 'Alexa.Presentation.APL.RenderDocument',
-        token: 'trend',
-        document: APL_DOC,
-        datasources: { payload },
-      });
+    const t = getTranslator(handlerInput);
+    const account = await getAccountSettings(handlerInput, config);
+    if (!account || !account.summaryTime) {
+      return handlerInput.responseBuilder
+        .speak(t('daily.none'))
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
     }
 
-    return responseBuilder.getResponse();
+    await saveAccountSettings(handlerInput, config, {
+      summaryTime: '',
+      summaryLocale: '',
+    });
+    return handlerInput.responseBuilder
+      .speak(t('daily.stopped'))
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
   },
 };
 
-const SummaryIntentHandler = {
+// The answer to the reminders permission prompt from DailySummaryIntent.
+const PermissionResponseHandler = {
   canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
     return (
-      Alexa.getRequestType(handlerInput.requestEnvelope) === 'IntentRequest' &&
-      Alexa.getIntentName(handlerInput.requestEnvelope) === 'SummaryIntent'
+      Alexa.getRequestType(handlerInput.requestEnvelope) ===
+        'Connections.Response' && request.name === 'AskFor'
     );
   },
   async handle(handlerInput) {
     ensureConfig();
 
     const config = await getFamilyConfig(handlerInput);
-    if (!config || config.kids.length === 0) {
+    if (!config) {
       return promptForKids(handlerInput);
     }
 
-    const rawPeriod = getSlotValue(handlerInput, 'period');
-    const period = parseSummaryPeriod(rawPeriod);
-    const summaryData = await buildSummaryData(config.tabName, config.kids, period);
-    const speakOutput = buildSummarySpeech(
-      period,
-      summaryData.now,
-      config.kids,
-      summaryData.totals,
-      summaryData.dates
+    const t = getTranslator(handlerInput);
+    const request = handlerInput.requestEnvelope.request;
+    const status = request.payload && request.payload.status;
+    const account = await getAccountSettings(handlerInput, config);
+    if (!account || !account.summaryTime) {
+      return handlerInput.responseBuilder
+        .speak(buildFollowUpPrompt(t))
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    if (status === 'ACCEPTED') {
+      return handlerInput.responseBuilder
+        .speak(
+          t('daily.accepted', {
+            time: formatSummaryTime(t, account.summaryTime),
+          })
+        )
+        .reprompt(buildFollowUpPrompt(t))
+        .getResponse();
+    }
+
+    await saveAccountSettings(handlerInput, config, {
+      summaryTime: '',
+      summaryLocale: '',
+    });
+    return handlerInput.responseBuilder
+      .speak(t('daily.denied'))
+      .reprompt(buildFollowUpPrompt(t))
+      .getResponse();
+  },
+};
+
+// Sent when someone disables the skill; their data goes with it, the same
+// as saying "delete all my data".
+const SkillDisabledEventHandler = {
+  canHandle(handlerInput) {
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) ===
+      'AlexaSkillEvent.SkillDisabled'
+    );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
+
+    const request = handlerInput.requestEnvelope.request;
+    const userId =
+      getUserId(handlerInput) || (request.body && request.body.userId);
+    if (userId) {
+      await deleteAccountData(userId);
+    }
+    return handlerInput.responseBuilder.getResponse();
+  },
+};
+
+// notify.js sends this through skill messaging at each account's chosen
+// time. The summary goes out as a reminder that fires straight away, which
+// is how a skill can speak up without being asked.
+const DailySummaryMessageHandler = {
+  canHandle(handlerInput) {
+    const request = handlerInput.requestEnvelope.request;
+    return (
+      Alexa.getRequestType(handlerInput.requestEnvelope) ===
+        'Messaging.MessageReceived' &&
+      request.message &&
+      request.message.type === 'dailySummary'
     );
+  },
+  async handle(handlerInput) {
+    ensureConfig();
 
-    const responseBuilder = handlerInput.responseBuilder
-      .speak(speakOutput)
-      .reprompt(buildFollowUpPrompt());
-    addDynamicKids(responseBuilder, config.kids);
-
-    if (supportsAPL(handlerInput)) {
-      const summaryTotals =
-        period === 'today'
-          ? null
-          : aggregateTotals(summaryData.totals, summaryData.dates, config.kids);
-      const payload = buildTrendPayload(
-        summaryData.dates,
-        summaryData.labels,
-        summaryData.totals,
-        config.kids,
-        summaryData.title,
-        summaryData.summaryLabel,
-        summaryTotals,
-        summaryData.rangeLabel
-      );
-      responseBuilder.addDirective({
-        type: 'Alexa.Presentation.APL.RenderDocument',
-        token: 'trend',
-        document: APL_DOC,
-        datasources: { payload },
-      });
+    const config = await getFamilyConfig(handlerInput);
+    if (!config || config.kids.length === 0) {
+      return handlerInput.responseBuilder.getResponse();
     }
 
-    return responseBuilder.getResponse();
+    // Messages carry no request locale, so the summary uses the one saved
+    // when it was set up.
+    const t = createTranslator(
+      handlerInput.requestEnvelope.request.message.locale
+    );
+    const summaryData = await buildSummaryData(t, config);
+    const text = t('summary.notification', {
+      summary: buildTodaySpeech(t, config, summaryData),
+    });
+    try {
+      const client =
+        handlerInput.serviceClientFactory.getReminderManagementServiceClient();
+      await client.createReminder({
+        requestTime: summaryData.now.toISO({ includeOffset: false }),
+        trigger: {
+          type: 'SCHEDULED_RELATIVE',
+          offsetInSeconds: SUMMARY_REMINDER_DELAY_SECONDS,
+        },
+        alertInfo: {
+          spokenInfo: {
+            content: [{ locale: t.locale, text }],
+          },
+        },
+        pushNotification: { status: 'ENABLED' },
+      });
+    } catch (err) {
+      console.error(`Daily summary reminder failed: ${err.message}`);
+    }
+    return handlerInput.responseBuilder.getResponse();
   },
 };
 
@@ -866,7 +3909,7 @@ const DoneIntentHandler = {
   },
   handle(handlerInput) {
     return handlerInput.responseBuilder
-      .speak('Okay.')
+      .speak(getTranslator(handlerInput)('done'))
       .withShouldEndSession(true)
       .getResponse();
   },
@@ -880,8 +3923,7 @@ const HelpIntentHandler = {
     );
   },
   handle(handlerInput) {
-    const speakOutput =
-      'You can say: my kids are Anna and Ben. Or say: add a point for Anna. Or: today\'s summary. Say done to exit.';
+    const speakOutput = getTranslator(handlerInput)('help');
     return handlerInput.responseBuilder
       .speak(speakOutput)
       .reprompt(speakOutput)
@@ -900,7 +3942,9 @@ const CancelAndStopIntentHandler = {
     );
   },
   handle(handlerInput) {
-    return handlerInput.responseBuilder.speak('Goodbye.').getResponse();
+    return handlerInput.responseBuilder
+      .speak(getTranslator(handlerInput)('goodbye'))
+      .getResponse();
   },
 };
 
@@ -913,8 +3957,7 @@ const FallbackIntentHandler = {
     );
   },
   handle(handlerInput) {
-    const speakOutput =
-      'Sorry, I did not catch that. Try saying add a point, summary, or done.';
+    const speakOutput = getTranslator(handlerInput)('fallback');
     return handlerInput.responseBuilder
       .speak(speakOutput)
       .reprompt(speakOutput)
@@ -928,23 +3971,65 @@ const ErrorHandler = {
   },
   handle(handlerInput, error) {
     console.error(`Error handled: ${error.message}`);
-    const speakOutput =
-      'Sorry, I had trouble doing that. Please check the skill configuration and try again.';
+    const speakOutput = getTranslator(handlerInput)('error');
     return handlerInput.responseBuilder.speak(speakOutput).getResponse();
   },
 };
 
+// A pending adjustment only answers the question asked in the turn right
+// before it, so any other request drops it.
+const PendingAdjustInterceptor = {
+  process(handlerInput) {
+    const { request, session } = handlerInput.requestEnvelope;
+    if (!session) return;
+    if (request.intent && request.intent.name === 'AdjustPointsIntent') return;
+    const attributes = handlerInput.attributesManager.getSessionAttributes();
+    if (!attributes.pendingAdjust) return;
+    delete attributes.pendingAdjust;
+    handlerInput.attributesManager.setSessionAttributes(attributes);
+  },
+};
+
 exports.handler = Alexa.SkillBuilders.custom()
   .addRequestHandlers(
     CanFulfillIntentRequestHandler,
+    SkillDisabledEventHandler,
+    DailySummaryMessageHandler,
+    PermissionResponseHandler,
     LaunchRequestHandler,
     ConfigureKidsIntentHandler,
+    AddKidIntentHandler,
+    RemoveKidIntentHandler,
+    RenameKidIntentHandler,
+    SetNicknameIntentHandler,
+    RemoveNicknameIntentHandler,
     AdjustPointsIntentHandler,
     SummaryIntentHandler,
+    KidSummaryIntentHandler,
+    LeaderboardIntentHandler,
+    CompareIntentHandler,
+    ReasonsIntentHandler,
+    UndoIntentHandler,
+    SetRewardIntentHandler,
+    RemoveRewardIntentHandler,
+    ListRewardsIntentHandler,
+    RedeemRewardIntentHandler,
+    SetGoalIntentHandler,
+    WhoGavePointsIntentHandler,
+    SetAdultNameIntentHandler,
+    SetTimezoneIntentHandler,
+    ShareFamilyIntentHandler,
+    JoinFamilyIntentHandler,
+    StopSharingFamilyIntentHandler,
+    DeleteDataIntentHandler,
+    DailySummaryIntentHandler,
+    StopDailySummaryIntentHandler,
     DoneIntentHandler,
     HelpIntentHandler,
     CancelAndStopIntentHandler,
     FallbackIntentHandler
   )
+  .addRequestInterceptors(PendingAdjustInterceptor)
   .addErrorHandlers(ErrorHandler)
+  .withApiClient(new Alexa.DefaultApiClient())
   .lambda();
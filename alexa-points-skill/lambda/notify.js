@@ -0,0 +1,136 @@
+'use strict';
+
+// Scheduled entry point for daily summaries. Run it every 15 minutes or so;
+// each account that asked for a summary gets a skill message once its
+// family's local time passes the chosen time, and the skill turns that
+// message into a spoken reminder (see DailySummaryMessageHandler).
+
+const AWS = require('aws-sdk');
+const { DateTime } = require('luxon');
+const { getStore } = require('./storage');
+
+const LWA_TOKEN_URL = 'https://api.amazon.com/auth/o2/token';
+const SKILL_MESSAGING_API_URL =
+  process.env.SKILL_MESSAGING_API_URL || 'https://api.amazonalexa.com';
+const SKILL_MESSAGING_SECRET_NAME = process.env.SKILL_MESSAGING_SECRET_NAME;
+const SKILL_MESSAGING_SECRET_REGION =
+  process.env.SKILL_MESSAGING_SECRET_REGION ||
+  process.env.AWS_REGION ||
+  'us-east-1';
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Europe/Oslo';
+// A message Alexa cannot deliver within the hour is stale by then.
+const MESSAGE_TTL_SECONDS = 3600;
+
+async function getClientCredentials() {
+  if (!SKILL_MESSAGING_SECRET_NAME) {
+    throw new Error('Missing env vars: SKILL_MESSAGING_SECRET_NAME');
+  }
+  const secrets = new AWS.SecretsManager({
+    region: SKILL_MESSAGING_SECRET_REGION,
+  });
+  const data = await secrets
+    .getSecretValue({ SecretId: SKILL_MESSAGING_SECRET_NAME })
+    .promise();
+  if (!data.SecretString) {
+    throw new Error('SecretString not found in Secrets Manager response');
+  }
+  const secret = JSON.parse(data.SecretString);
+  const clientId = secret.clientId || secret.client_id;
+  const clientSecret = secret.clientSecret || secret.client_secret;
+  if (!clientId || !clientSecret) {
+    throw new Error('Secret must include clientId and clientSecret');
+  }
+  return { clientId, clientSecret };
+}
+
+async function getMessagingToken({ clientId, clientSecret }) {
+  const response = await fetch(LWA_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: clientId,
+      client_secret: clientSecret,
+      scope: 'alexa:skill_messaging',
+    }),
+  });
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`LWA token error ${response.status}: ${text}`);
+  }
+  const data = await response.json();
+  if (!data.access_token) {
+    throw new Error('LWA token response missing access_token');
+  }
+  return data.access_token;
+}
+
+async function sendSkillMessage(token, userId, data) {
+  const response = await fetch(
+    `${SKILL_MESSAGING_API_URL}/v1/skillmessages/users/${encodeURIComponent(
+      userId
+    )}`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ data, expiresAfterSeconds: MESSAGE_TTL_SECONDS }),
+    }
+  );
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Skill messaging error ${response.status}: ${text}`);
+  }
+}
+
+// The returned date is the family's local day the summary is for, or null
+// when the account is not due. A linked account follows its family's clock.
+function dueDate(row, family, now) {
+  if (!row.summaryTime || !family) return null;
+  let local = now.setZone(family.timezone || DEFAULT_TIMEZONE);
+  if (!local.isValid) local = now.setZone(DEFAULT_TIMEZONE);
+  const today = local.toISODate();
+  if (row.summarySent === today) return null;
+  return local.toFormat('HH:mm') >= row.summaryTime ? today : null;
+}
+
+exports.dueDate = dueDate;
+
+exports.handler = async () => {
+  const store = getStore();
+  const now = DateTime.now();
+  const families = await store.readFamilies();
+  const byUser = new Map(families.map((family) => [family.userId, family]));
+
+  const due = [];
+  for (const row of families) {
+    const family = row.owner ? byUser.get(row.owner) : row;
+    const date = dueDate(row, family, now);
+    if (date) due.push({ row, date });
+  }
+  if (due.length === 0) return { due: 0, sent: 0, failed: 0 };
+
+  const token = await getMessagingToken(await getClientCredentials());
+  let sent = 0;
+  let failed = 0;
+  for (const { row, date } of due) {
+    try {
+      await sendSkillMessage(token, row.userId, {
+        type: 'dailySummary',
+        date,
+        locale: row.summaryLocale || 'en-US',
+      });
+      // Marked as sent even if the reminder later fails, so a broken
+      // account is tried again tomorrow rather than every run tonight.
+      await store.saveFamily({ ...row, summarySent: date }, row);
+      sent += 1;
+    } catch (err) {
+      console.error(`Daily summary for ${row.tabName} failed: ${err.message}`);
+      failed += 1;
+    }
+  }
+
+  return { due: due.length, sent, failed };
+};
@@ -0,0 +1,441 @@
+'use strict';
+
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const {
+  normalizeEvent,
+  isAggregate,
+  samePerson,
+  familyConflict,
+  toInt,
+} = require('./util');
+
+const BATCH_WRITE_LIMIT = 25;
+const TRANSACT_WRITE_LIMIT = 100;
+// Request markers only need to outlive Alexa's retries.
+const REQUEST_MARKER_TTL_SECONDS = 7 * 24 * 60 * 60;
+const COMPACT_MARKER_PREFIX = 'compact#';
+
+function familyFromItem(item) {
+  return {
+    userId: item.user_id || '',
+    tabName: item.tab_name || '',
+    kids: item.kids || '',
+    createdAt: item.created_at || '',
+    updatedAt: item.updated_at || '',
+    timezone: item.timezone || '',
+    rewards: item.rewards || '',
+    goals: item.goals || '',
+    adults: item.adults || '',
+    version: toInt(item.version),
+    owner: item.owner || '',
+    inviteCode: item.invite_code || '',
+    inviteExpires: item.invite_expires || '',
+    homeCardId: item.home_card_id || '',
+    homeCardExpires: item.home_card_expires || '',
+    summaryTime: item.summary_time || '',
+    summaryLocale: item.summary_locale || '',
+    summarySent: item.summary_sent || '',
+    nicknames: item.nicknames || '',
+    homeCardHash: item.home_card_hash || '',
+    joinFailures: toInt(item.join_failures),
+    joinLockedUntil: item.join_locked_until || '',
+  };
+}
+
+function familyToItem(family) {
+  return {
+    user_id: family.userId,
+    tab_name: family.tabName,
+    kids: family.kids,
+    created_at: family.createdAt,
+    updated_at: family.updatedAt,
+    timezone: family.timezone || '',
+    rewards: family.rewards || '',
+    goals: family.goals || '',
+    adults: family.adults || '',
+    version: family.version || 0,
+    owner: family.owner || '',
+    invite_code: family.inviteCode || '',
+    invite_expires: family.inviteExpires || '',
+    home_card_id: family.homeCardId || '',
+    home_card_expires: family.homeCardExpires || '',
+    summary_time: family.summaryTime || '',
+    summary_locale: family.summaryLocale || '',
+    summary_sent: family.summarySent || '',
+    nicknames: family.nicknames || '',
+    home_card_hash: family.homeCardHash || '',
+    join_failures: family.joinFailures || 0,
+    join_locked_until: family.joinLockedUntil || '',
+  };
+}
+
+function buildEventId(event) {
+  return `${event.timestamp_iso}#${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function isCompactMarker(item) {
+  return item.event_id.startsWith(COMPACT_MARKER_PREFIX);
+}
+
+function markerDate(marker) {
+  return marker.event_id.slice(COMPACT_MARKER_PREFIX.length);
+}
+
+function toEventItem(event, tabName) {
+  const row = normalizeEvent(event);
+  return { tab_name: tabName, event_id: buildEventId(row), ...row };
+}
+
+function createDynamoStore(options = {}) {
+  const familiesTable =
+    options.familiesTable || process.env.DYNAMODB_FAMILIES_TABLE || 'Families';
+  const eventsTable =
+    options.eventsTable || process.env.DYNAMODB_EVENTS_TABLE || 'FamilyEvents';
+  const archiveTable =
+    options.archiveTable || process.env.DYNAMODB_ARCHIVE_TABLE || '';
+  const endpoint = options.endpoint || process.env.DYNAMODB_ENDPOINT;
+  const region =
+    options.region ||
+    process.env.DYNAMODB_REGION ||
+    process.env.AWS_REGION ||
+    'eu-west-1';
+
+  const client =
+    options.documentClient ||
+    new AWS.DynamoDB.DocumentClient({
+      region,
+      ...(endpoint ? { endpoint } : {}),
+    });
+
+  async function scanAll(params) {
+    const items = [];
+    let startKey;
+    do {
+      const res = await client
+        .scan({ ...params, ExclusiveStartKey: startKey })
+        .promise();
+      items.push(...(res.Items || []));
+      startKey = res.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+  }
+
+  async function queryAll(params) {
+    const items = [];
+    let startKey;
+    do {
+      const res = await client
+        .query({ ...params, ExclusiveStartKey: startKey })
+        .promise();
+      items.push(...(res.Items || []));
+      startKey = res.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+  }
+
+  async function readFamilies() {
+    const items = await scanAll({ TableName: familiesTable });
+    return items.map((item) => familyFromItem(item));
+  }
+
+  async function getFamily(userId) {
+    const res = await client
+      .get({ TableName: familiesTable, Key: { user_id: userId } })
+      .promise();
+    return res.Item ? familyFromItem(res.Item) : null;
+  }
+
+  async function findFamilies(userId) {
+    const family = await getFamily(userId);
+    return family ? [family] : [];
+  }
+
+  // The put only succeeds if the stored item is still at the version the
+  // caller read; items written before versioning count as version 0.
+  async function saveFamily(family, existingRow) {
+    const expected = existingRow ? toInt(existingRow.version) : null;
+    const saved = { ...family, version: (expected || 0) + 1 };
+    const condition =
+      expected === null
+        ? { ConditionExpression: 'attribute_not_exists(user_id)' }
+        : {
+            ConditionExpression:
+              expected === 0
+                ? 'attribute_not_exists(#version) OR #version = :version'
+                : '#version = :version',
+            ExpressionAttributeNames: { '#version': 'version' },
+            ExpressionAttributeValues: { ':version': expected },
+          };
+
+    try {
+      await client
+        .put({
+          TableName: familiesTable,
+          Item: familyToItem(saved),
+          ...condition,
+        })
+        .promise();
+    } catch (err) {
+      if (err.code === 'ConditionalCheckFailedException') {
+        throw familyConflict(family.userId);
+      }
+      throw err;
+    }
+    return saved;
+  }
+
+  async function removeFamilyRows(families) {
+    await batchWrite(
+      familiesTable,
+      families.map((family) => ({
+        DeleteRequest: { Key: { user_id: family.userId } },
+      }))
+    );
+    return families.length;
+  }
+
+  // Event ids start with the timestamp and an event's date is never after
+  // it, so a range on the sort key skips everything older than `since`.
+  async function queryEventItems(tabName, since) {
+    if (since) {
+      return queryAll({
+        TableName: eventsTable,
+        KeyConditionExpression: 'tab_name = :tab AND event_id >= :since',
+        ExpressionAttributeValues: { ':tab': tabName, ':since': since },
+      });
+    }
+    return queryAll({
+      TableName: eventsTable,
+      KeyConditionExpression: 'tab_name = :tab',
+      ExpressionAttributeValues: { ':tab': tabName },
+    });
+  }
+
+  async function batchWrite(tableName, writes) {
+    for (let i = 0; i < writes.length; i += BATCH_WRITE_LIMIT) {
+      let requests = {
+        [tableName]: writes.slice(i, i + BATCH_WRITE_LIMIT),
+      };
+      while (requests && Object.keys(requests).length > 0) {
+        const res = await client
+          .batchWrite({ RequestItems: requests })
+          .promise();
+        requests = res.UnprocessedItems;
+      }
+    }
+  }
+
+  async function batchPut(items, tableName = eventsTable) {
+    await batchWrite(
+      tableName,
+      items.map((item) => ({ PutRequest: { Item: item } }))
+    );
+  }
+
+  // A batch tagged with a request id is written in one transaction together
+  // with a marker item for that id, so a retried request is cancelled
+  // instead of counted twice. Markers have no date and never reach
+  // readEvents; enable TTL on expires_at to clean them up.
+  async function appendEvents(events, tabName) {
+    if (events.length === 0) return 0;
+    const requestId = events[0].request_id;
+    const items = events.map((event) => toEventItem(event, tabName));
+    if (!requestId || items.length >= TRANSACT_WRITE_LIMIT) {
+      await batchPut(items);
+      return items.length;
+    }
+
+    const marker = {
+      tab_name: tabName,
+      event_id: `request#${requestId}`,
+      expires_at: Math.floor(Date.now() / 1000) + REQUEST_MARKER_TTL_SECONDS,
+    };
+    try {
+      await client
+        .transactWrite({
+          TransactItems: [
+            {
+              Put: {
+                TableName: eventsTable,
+                Item: marker,
+                ConditionExpression: 'attribute_not_exists(event_id)',
+              },
+            },
+            ...items.map((item) => ({
+              Put: { TableName: eventsTable, Item: item },
+            })),
+          ],
+        })
+        .promise();
+    } catch (err) {
+      const reasons = err.CancellationReasons || [];
+      if (
+        err.code === 'TransactionCanceledException' &&
+        (reasons.length === 0 ||
+          (reasons[0] && reasons[0].Code === 'ConditionalCheckFailed'))
+      ) {
+        return 0;
+      }
+      throw err;
+    }
+    return items.length;
+  }
+
+  async function appendEvent(event, tabName) {
+    return appendEvents([event], tabName);
+  }
+
+  async function readEvents(tabName, options = {}) {
+    const items = await queryEventItems(tabName, options.since);
+    const compacting = new Set(
+      items
+        .filter((item) => isCompactMarker(item))
+        .flatMap((marker) => marker.compacted || [])
+    );
+    return items
+      .filter((item) => !compacting.has(item.event_id))
+      .map((item) => normalizeEvent(item))
+      .filter((row) => row.date && row.person)
+      .filter((row) => !options.since || row.date >= options.since);
+  }
+
+  async function renamePerson(tabName, from, to) {
+    const items = await queryEventItems(tabName);
+    const changed = items
+      .filter((item) => item.person && samePerson(item.person, from))
+      .map((item) => ({ ...item, person: to }));
+    await batchPut(changed);
+    return changed.length;
+  }
+
+  async function readArchivedEvents(tabName) {
+    if (!archiveTable) return [];
+    const items = await queryAll({
+      TableName: archiveTable,
+      KeyConditionExpression: 'tab_name = :tab',
+      ExpressionAttributeValues: { ':tab': tabName },
+    });
+    return items
+      .map((item) => normalizeEvent(item))
+      .filter((row) => row.date && row.person);
+  }
+
+  async function transactWrites(writes) {
+    for (let i = 0; i < writes.length; i += TRANSACT_WRITE_LIMIT) {
+      await client
+        .transactWrite({
+          TransactItems: writes.slice(i, i + TRANSACT_WRITE_LIMIT),
+        })
+        .promise();
+    }
+  }
+
+  function deleteItem(item) {
+    return {
+      Delete: {
+        TableName: eventsTable,
+        Key: { tab_name: item.tab_name, event_id: item.event_id },
+      },
+    };
+  }
+
+  // Each day is swapped for its aggregates in one transaction, so a failure
+  // part way through leaves every day either fully raw or fully compacted.
+  // A day too busy for one transaction writes its aggregates together with a
+  // `compact#<date>` marker listing the raw items they replace, then deletes
+  // those items in further transactions, the last one taking the marker
+  // with it. readEvents hides listed items while the marker exists, and the
+  // next run finishes the deletes of a marker a failed run left behind.
+  async function compactEvents(tabName, before, aggregates) {
+    const items = await queryEventItems(tabName);
+    const pending = items.filter((item) => isCompactMarker(item));
+    const pendingDates = new Set(pending.map((marker) => markerDate(marker)));
+    const old = items.filter(
+      (item) =>
+        item.date &&
+        item.date < before &&
+        !isAggregate(item) &&
+        !pendingDates.has(item.date)
+    );
+    if (old.length === 0 && pending.length === 0) return 0;
+
+    if (archiveTable) await batchPut(old, archiveTable);
+
+    let count = 0;
+    for (const marker of pending) {
+      const listed = new Set(marker.compacted || []);
+      const removed = items.filter((item) => listed.has(item.event_id));
+      await transactWrites(
+        [...removed, marker].map((item) => deleteItem(item))
+      );
+      count += removed.length;
+    }
+
+    for (const date of new Set(old.map((item) => item.date))) {
+      const removed = old.filter((item) => item.date === date);
+      const puts = aggregates
+        .filter((event) => event.date === date)
+        .map((event) => ({
+          Put: { TableName: eventsTable, Item: toEventItem(event, tabName) },
+        }));
+      const deletes = removed.map((item) => deleteItem(item));
+
+      if (puts.length + deletes.length <= TRANSACT_WRITE_LIMIT) {
+        await transactWrites([...puts, ...deletes]);
+      } else {
+        const marker = {
+          tab_name: tabName,
+          event_id: `${COMPACT_MARKER_PREFIX}${date}`,
+          compacted: removed.map((item) => item.event_id),
+        };
+        await transactWrites([
+          ...puts,
+          { Put: { TableName: eventsTable, Item: marker } },
+        ]);
+        await transactWrites([...deletes, deleteItem(marker)]);
+      }
+      count += removed.length;
+    }
+    return count;
+  }
+
+  async function deleteEvents(tabName) {
+    const tables = archiveTable ? [eventsTable, archiveTable] : [eventsTable];
+    for (const tableName of tables) {
+      const items = await queryAll({
+        TableName: tableName,
+        KeyConditionExpression: 'tab_name = :tab',
+        ExpressionAttributeValues: { ':tab': tabName },
+      });
+      await batchWrite(
+        tableName,
+        items.map((item) => ({
+          DeleteRequest: {
+            Key: { tab_name: item.tab_name, event_id: item.event_id },
+          },
+        }))
+      );
+    }
+  }
+
+  return {
+    name: 'dynamodb',
+    readFamilies,
+    getFamily,
+    findFamilies,
+    saveFamily,
+    removeFamilyRows,
+    appendEvent,
+    appendEvents,
+    readEvents,
+    renamePerson,
+    readArchivedEvents,
+    compactEvents,
+    deleteEvents,
+  };
+}
+
+module.exports = {
+  createDynamoStore,
+};
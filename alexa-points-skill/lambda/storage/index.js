@@ -0,0 +1,53 @@
+'use strict';
+
+// Each backend exposes the same async interface:
+//   readFamilies() -> [family]
+//   getFamily(userId) -> family | null
+//   findFamilies(userId) -> [family], more than one only after a race
+//   saveFamily(family, existingRow) -> family with its new version; throws
+//     an error with code FamilyConflict if existingRow's version is stale
+//   removeFamilyRows(families) -> number of rows deleted
+//   appendEvent(event, tabName) -> number of events written
+//   appendEvents(events, tabName) -> one write for the whole batch; a batch
+//     whose request_id was already written is skipped and returns 0
+//   readEvents(tabName, { since }) -> [event], only dates >= since if given
+//   renamePerson(tabName, from, to) -> number of events rewritten
+//   readArchivedEvents(tabName) -> [event] moved out by compactEvents, or []
+//     when the backend keeps no archive
+//   compactEvents(tabName, before, aggregates) -> number of events replaced;
+//     archives and removes raw events dated before `before`, adds aggregates
+//   deleteEvents(tabName) -> removes the tab's events and their archive
+// Backends are required lazily so a DynamoDB deployment never loads googleapis.
+const BACKENDS = {
+  sheets: () => require('./sheets').createSheetsStore,
+  dynamodb: () => require('./dynamodb').createDynamoStore,
+  memory: () => require('./memory').createMemoryStore,
+};
+
+let store = null;
+
+function createStore(backend, options) {
+  const name = (backend || 'sheets').toLowerCase();
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+  return factory()(options);
+}
+
+function getStore() {
+  if (!store) {
+    store = createStore(process.env.STORAGE_BACKEND);
+  }
+  return store;
+}
+
+function setStore(value) {
+  store = value;
+}
+
+module.exports = {
+  createStore,
+  getStore,
+  setStore,
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+const fs = require('fs');
+const {
+  normalizeEvent,
+  isAggregate,
+  samePerson,
+  familyConflict,
+  toInt,
+} = require('./util');
+
+function emptyState() {
+  return { families: [], events: {}, archive: {} };
+}
+
+function createMemoryStore(options = {}) {
+  const filePath = options.filePath || process.env.MEMORY_STORE_FILE || null;
+  let state = options.initialState || null;
+
+  async function load() {
+    if (state) return state;
+    state = emptyState();
+    if (filePath && fs.existsSync(filePath)) {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      if (raw.trim()) {
+        const parsed = JSON.parse(raw);
+        state.families = parsed.families || [];
+        state.events = parsed.events || {};
+        state.archive = parsed.archive || {};
+      }
+    }
+    return state;
+  }
+
+  async function persist() {
+    if (!filePath) return;
+    await fs.promises.writeFile(filePath, JSON.stringify(state, null, 2));
+  }
+
+  async function readFamilies() {
+    const data = await load();
+    return data.families.map((family) => ({ ...family }));
+  }
+
+  async function getFamily(userId) {
+    const data = await load();
+    const family = data.families.find((f) => f.userId === userId);
+    return family ? { ...family } : null;
+  }
+
+  async function findFamilies(userId) {
+    const family = await getFamily(userId);
+    return family ? [family] : [];
+  }
+
+  async function saveFamily(family, existingRow) {
+    const data = await load();
+    const idx = data.families.findIndex((f) => f.userId === family.userId);
+    const current = idx >= 0 ? data.families[idx] : null;
+    const expected = existingRow ? toInt(existingRow.version) : null;
+    if (
+      (current && toInt(current.version) !== expected) ||
+      (!current && expected !== null)
+    ) {
+      throw familyConflict(family.userId);
+    }
+
+    const saved = { ...family, version: (expected || 0) + 1 };
+    if (current) {
+      data.families[idx] = { ...current, ...saved };
+    } else {
+      data.families.push(saved);
+    }
+    if (!data.events[family.tabName]) {
+      data.events[family.tabName] = [];
+    }
+    await persist();
+    return saved;
+  }
+
+  async function removeFamilyRows(families) {
+    const data = await load();
+    const userIds = new Set(families.map((family) => family.userId));
+    const before = data.families.length;
+    data.families = data.families.filter((f) => !userIds.has(f.userId));
+    await persist();
+    return before - data.families.length;
+  }
+
+  async function appendEvents(events, tabName) {
+    const data = await load();
+    if (!data.events[tabName]) {
+      data.events[tabName] = [];
+    }
+    const requestId = events.length > 0 && events[0].request_id;
+    if (
+      requestId &&
+      data.events[tabName].some((event) => event.request_id === requestId)
+    ) {
+      return 0;
+    }
+    data.events[tabName].push(...events.map((event) => normalizeEvent(event)));
+    await persist();
+    return events.length;
+  }
+
+  async function appendEvent(event, tabName) {
+    return appendEvents([event], tabName);
+  }
+
+  async function readEvents(tabName, options = {}) {
+    const data = await load();
+    return (data.events[tabName] || [])
+      .map((event) => normalizeEvent(event))
+      .filter((row) => row.date && row.person)
+      .filter((row) => !options.since || row.date >= options.since);
+  }
+
+  async function renamePerson(tabName, from, to) {
+    const data = await load();
+    let count = 0;
+    for (const event of data.events[tabName] || []) {
+      if (samePerson(event.person, from)) {
+        event.person = to;
+        count += 1;
+      }
+    }
+    if (count > 0) await persist();
+    return count;
+  }
+
+  async function readArchivedEvents(tabName) {
+    const data = await load();
+    return (data.archive[tabName] || []).map((event) => normalizeEvent(event));
+  }
+
+  async function compactEvents(tabName, before, aggregates) {
+    const data = await load();
+    const events = data.events[tabName] || [];
+    const isOld = (event) =>
+      event.date && event.date < before && !isAggregate(event);
+    const old = events.filter(isOld);
+    if (old.length === 0) return 0;
+
+    data.archive[tabName] = [...(data.archive[tabName] || []), ...old];
+    data.events[tabName] = [
+      ...aggregates.map((event) => normalizeEvent(event)),
+      ...events.filter((event) => !isOld(event)),
+    ];
+    await persist();
+    return old.length;
+  }
+
+  async function deleteEvents(tabName) {
+    const data = await load();
+    delete data.events[tabName];
+    delete data.archive[tabName];
+    await persist();
+  }
+
+  return {
+    name: 'memory',
+    readFamilies,
+    getFamily,
+    findFamilies,
+    saveFamily,
+    removeFamilyRows,
+    appendEvent,
+    appendEvents,
+    readEvents,
+    renamePerson,
+    readArchivedEvents,
+    compactEvents,
+    deleteEvents,
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+};
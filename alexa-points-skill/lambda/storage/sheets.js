@@ -0,0 +1,651 @@
+'use strict';
+
+const AWS = require('aws-sdk');
+const { google } = require('googleapis');
+const { toInt, isAggregate, samePerson, familyConflict } = require('./util');
+
+const EVENTS_HEADER = [
+  'timestamp_iso',
+  'date',
+  'person',
+  'delta',
+  'who',
+  'note',
+  'type',
+  'ref',
+  'request_id',
+];
+const FAMILIES_HEADER = [
+  'user_id',
+  'tab_name',
+  'kids',
+  'created_at',
+  'updated_at',
+  'timezone',
+  'rewards',
+  'goals',
+  'adults',
+  'version',
+  'owner',
+  'invite_code',
+  'invite_expires',
+  'home_card_id',
+  'home_card_expires',
+  'summary_time',
+  'summary_locale',
+  'summary_sent',
+  'nicknames',
+  'home_card_hash',
+  'join_failures',
+  'join_locked_until',
+];
+
+function columnLetter(index) {
+  return String.fromCharCode(64 + index);
+}
+
+function familyFromRow(row, rowIndex) {
+  return {
+    rowIndex,
+    userId: row[0] || '',
+    tabName: row[1] || '',
+    kids: row[2] || '',
+    createdAt: row[3] || '',
+    updatedAt: row[4] || '',
+    timezone: row[5] || '',
+    rewards: row[6] || '',
+    goals: row[7] || '',
+    adults: row[8] || '',
+    version: toInt(row[9]),
+    owner: row[10] || '',
+    inviteCode: row[11] || '',
+    inviteExpires: row[12] || '',
+    homeCardId: row[13] || '',
+    homeCardExpires: row[14] || '',
+    summaryTime: row[15] || '',
+    summaryLocale: row[16] || '',
+    summarySent: row[17] || '',
+    nicknames: row[18] || '',
+    homeCardHash: row[19] || '',
+    joinFailures: toInt(row[20]),
+    joinLockedUntil: row[21] || '',
+  };
+}
+
+function familyToRow(family) {
+  return [
+    family.userId,
+    family.tabName,
+    family.kids,
+    family.createdAt,
+    family.updatedAt,
+    family.timezone || '',
+    family.rewards || '',
+    family.goals || '',
+    family.adults || '',
+    family.version || 0,
+    family.owner || '',
+    family.inviteCode || '',
+    family.inviteExpires || '',
+    family.homeCardId || '',
+    family.homeCardExpires || '',
+    family.summaryTime || '',
+    family.summaryLocale || '',
+    family.summarySent || '',
+    family.nicknames || '',
+    family.homeCardHash || '',
+    family.joinFailures || 0,
+    family.joinLockedUntil || '',
+  ];
+}
+
+function eventToRow(event) {
+  return [
+    event.timestamp_iso,
+    event.date,
+    event.person,
+    event.delta,
+    event.who,
+    event.note || '',
+    event.type || '',
+    event.ref || '',
+    event.request_id || '',
+  ];
+}
+
+function eventFromRow(row) {
+  return {
+    timestamp_iso: row[0] || '',
+    date: row[1] || '',
+    person: row[2] || '',
+    delta: toInt(row[3]),
+    who: row[4] || '',
+    note: row[5] || '',
+    type: row[6] || '',
+    ref: row[7] || '',
+    request_id: row[8] || '',
+  };
+}
+
+function toCellData(value) {
+  return typeof value === 'number'
+    ? { userEnteredValue: { numberValue: value } }
+    : { userEnteredValue: { stringValue: String(value) } };
+}
+
+function createSheetsStore(options = {}) {
+  const sheetId = options.sheetId || process.env.GOOGLE_SHEET_ID;
+  const secretName = options.secretName || process.env.GOOGLE_SA_SECRET_NAME;
+  const secretRegion =
+    options.secretRegion ||
+    process.env.GOOGLE_SA_SECRET_REGION ||
+    process.env.AWS_REGION ||
+    'eu-west-1';
+  const familiesTab =
+    options.familiesTab || process.env.GOOGLE_FAMILIES_TAB || 'Families';
+
+  if (!sheetId) {
+    throw new Error('Missing GOOGLE_SHEET_ID env var');
+  }
+  if (!secretName && !options.sheetsClient) {
+    throw new Error('Missing GOOGLE_SA_SECRET_NAME env var');
+  }
+
+  let sheetsClientPromise = options.sheetsClient
+    ? Promise.resolve(options.sheetsClient)
+    : null;
+  // Sheets whose existence and header were checked by this store; the store
+  // lives as long as the warm Lambda container, so later requests skip them.
+  const verifiedSheets = new Set();
+  // First row of each tab's last `since` read, where the next one most
+  // likely starts too.
+  const sinceRows = new Map();
+
+  async function getServiceAccountCredentials() {
+    const secrets = new AWS.SecretsManager({ region: secretRegion });
+    const data = await secrets.getSecretValue({ SecretId: secretName }).promise();
+    if (!data.SecretString) {
+      throw new Error('SecretString not found in Secrets Manager response');
+    }
+
+    let creds = null;
+    try {
+      creds = JSON.parse(data.SecretString);
+    } catch (err) {
+      throw new Error('SecretString must be valid JSON');
+    }
+
+    if (creds.service_account) {
+      creds = creds.service_account;
+    }
+
+    return creds;
+  }
+
+  async function getSheetsClient() {
+    if (!sheetsClientPromise) {
+      sheetsClientPromise = (async () => {
+        const credentials = await getServiceAccountCredentials();
+        const auth = new google.auth.GoogleAuth({
+          credentials,
+          scopes: ['https://www.googleapis.com/auth/spreadsheets'],
+        });
+        const client = await auth.getClient();
+        return google.sheets({ version: 'v4', auth: client });
+      })();
+    }
+    return sheetsClientPromise;
+  }
+
+  async function getSheetNames() {
+    const sheets = await getSheetsClient();
+    const res = await sheets.spreadsheets.get({
+      spreadsheetId: sheetId,
+      fields: 'sheets.properties.title',
+    });
+    const list = res.data.sheets || [];
+    return list.map((s) => s.properties.title);
+  }
+
+  async function getSheetGridId(sheetName) {
+    const sheets = await getSheetsClient();
+    const res = await sheets.spreadsheets.get({
+      spreadsheetId: sheetId,
+      fields: 'sheets.properties(sheetId,title)',
+    });
+    const match = (res.data.sheets || []).find(
+      (s) => s.properties.title === sheetName
+    );
+    return match ? match.properties.sheetId : null;
+  }
+
+  async function ensureSheetExists(sheetName) {
+    const names = await getSheetNames();
+    if (names.includes(sheetName)) return;
+
+    const sheets = await getSheetsClient();
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: sheetId,
+      requestBody: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }],
+      },
+    });
+  }
+
+  async function ensureHeaderRow(sheetName, header) {
+    const sheets = await getSheetsClient();
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${sheetName}!A1:Z1`,
+    });
+    await writeHeaderIfStale(sheetName, header, res.data.values);
+  }
+
+  async function writeHeaderIfStale(sheetName, header, values) {
+    // Sheets created before a column was added keep their shorter header;
+    // rewriting it in place is the migration, older rows read as blank.
+    const row = values && values[0];
+    if (!row || row.length < header.length) {
+      const sheets = await getSheetsClient();
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range: `${sheetName}!A1:${columnLetter(header.length)}1`,
+        valueInputOption: 'RAW',
+        requestBody: { values: [header] },
+      });
+    }
+  }
+
+  async function ensureFamiliesSheet() {
+    if (verifiedSheets.has(familiesTab)) return;
+    await ensureSheetExists(familiesTab);
+    await ensureHeaderRow(familiesTab, FAMILIES_HEADER);
+    verifiedSheets.add(familiesTab);
+  }
+
+  async function ensureEventsSheet(tabName) {
+    if (verifiedSheets.has(tabName)) return;
+    await ensureSheetExists(tabName);
+    await ensureHeaderRow(tabName, EVENTS_HEADER);
+    verifiedSheets.add(tabName);
+  }
+
+  async function readFamilies() {
+    const sheets = await getSheetsClient();
+    const range = `${familiesTab}!A2:${columnLetter(FAMILIES_HEADER.length)}`;
+    let values = null;
+
+    if (verifiedSheets.has(familiesTab)) {
+      const res = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range,
+      });
+      values = res.data.values;
+    } else {
+      // First read in this container: check the header and fetch the rows
+      // in a single round trip.
+      await ensureSheetExists(familiesTab);
+      const res = await sheets.spreadsheets.values.batchGet({
+        spreadsheetId: sheetId,
+        ranges: [`${familiesTab}!A1:Z1`, range],
+      });
+      const [headerRange, rowsRange] = res.data.valueRanges || [];
+      await writeHeaderIfStale(
+        familiesTab,
+        FAMILIES_HEADER,
+        headerRange && headerRange.values
+      );
+      verifiedSheets.add(familiesTab);
+      values = rowsRange && rowsRange.values;
+    }
+
+    const rows = values || [];
+    return rows.map((row, idx) => familyFromRow(row, idx + 2));
+  }
+
+  async function getFamily(userId) {
+    const families = await readFamilies();
+    return families.find((f) => f.userId === userId) || null;
+  }
+
+  async function findFamilies(userId) {
+    const families = await readFamilies();
+    return families.filter((f) => f.userId === userId);
+  }
+
+  // Sheets has no conditional write, so the row is re-read just before the
+  // update and must still belong to this user at the version we started
+  // from. An append checks that no row exists yet, which narrows the race
+  // but can't close it; duplicates that slip through are repaired on read.
+  async function saveFamily(family, existingRow) {
+    await ensureFamiliesSheet();
+    await ensureEventsSheet(family.tabName);
+
+    const sheets = await getSheetsClient();
+    const lastColumn = columnLetter(FAMILIES_HEADER.length);
+
+    if (existingRow && existingRow.rowIndex) {
+      const range = `${familiesTab}!A${existingRow.rowIndex}:${lastColumn}${existingRow.rowIndex}`;
+      const res = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range,
+      });
+      const current = res.data.values && res.data.values[0];
+      if (
+        !current ||
+        current[0] !== family.userId ||
+        toInt(current[9]) !== toInt(existingRow.version)
+      ) {
+        throw familyConflict(family.userId);
+      }
+
+      const saved = { ...family, version: toInt(existingRow.version) + 1 };
+      await sheets.spreadsheets.values.update({
+        spreadsheetId: sheetId,
+        range,
+        valueInputOption: 'RAW',
+        requestBody: { values: [familyToRow(saved)] },
+      });
+      return saved;
+    }
+
+    if ((await findFamilies(family.userId)).length > 0) {
+      throw familyConflict(family.userId);
+    }
+    const saved = { ...family, version: 1 };
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: sheetId,
+      range: `${familiesTab}!A:${lastColumn}`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values: [familyToRow(saved)] },
+    });
+    return saved;
+  }
+
+  // Row indexes shift whenever another request deletes a row, so the rows
+  // are found again by content just before deleting, bottom-up so the
+  // earlier deletes in the batch don't move the later ones.
+  async function removeFamilyRows(families) {
+    if (families.length === 0) return 0;
+    const current = await readFamilies();
+    const rowIndexes = new Set();
+    for (const family of families) {
+      const match = current.find(
+        (row) =>
+          !rowIndexes.has(row.rowIndex) &&
+          row.userId === family.userId &&
+          row.version === family.version &&
+          row.updatedAt === family.updatedAt
+      );
+      if (match) rowIndexes.add(match.rowIndex);
+    }
+    if (rowIndexes.size === 0) return 0;
+    const sorted = [...rowIndexes].sort((a, b) => b - a);
+
+    const sheets = await getSheetsClient();
+    const gridId = await getSheetGridId(familiesTab);
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: sheetId,
+      requestBody: {
+        requests: sorted.map((rowIndex) => ({
+          deleteDimension: {
+            range: {
+              sheetId: gridId,
+              dimension: 'ROWS',
+              startIndex: rowIndex - 1,
+              endIndex: rowIndex,
+            },
+          },
+        })),
+      },
+    });
+    return sorted.length;
+  }
+
+  async function hasRequest(tabName, requestId) {
+    const sheets = await getSheetsClient();
+    const column = columnLetter(EVENTS_HEADER.indexOf('request_id') + 1);
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${tabName}!${column}2:${column}`,
+    });
+    return (res.data.values || []).some((row) => row[0] === requestId);
+  }
+
+  async function appendEvents(events, tabName) {
+    if (events.length === 0) return 0;
+    const requestId = events[0].request_id;
+    if (requestId && (await hasRequest(tabName, requestId))) return 0;
+
+    const sheets = await getSheetsClient();
+    const values = events.map((event) => eventToRow(event));
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: sheetId,
+      range: `${tabName}!A:${columnLetter(EVENTS_HEADER.length)}`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values },
+    });
+    return events.length;
+  }
+
+  async function appendEvent(event, tabName) {
+    return appendEvents([event], tabName);
+  }
+
+  async function readEventRows(tabName) {
+    const sheets = await getSheetsClient();
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${tabName}!A2:${columnLetter(EVENTS_HEADER.length)}`,
+    });
+    return (res.data.values || []).map((row) => eventFromRow(row));
+  }
+
+  // Rows are in the order they were logged, not by date: a backdated entry
+  // lands at the bottom. Reading starts at the first row dated on or after
+  // `since`, found from the date column, which comes in the same batchGet as
+  // the rows from where the last read started; only if the start moved up
+  // (rows were deleted above it) are the rows fetched again.
+  async function readEvents(tabName, options = {}) {
+    if (!options.since) {
+      const rows = await readEventRows(tabName);
+      return rows.filter((row) => row.date && row.person);
+    }
+
+    const sheets = await getSheetsClient();
+    const lastColumn = columnLetter(EVENTS_HEADER.length);
+    const guess = sinceRows.get(tabName) || 2;
+    const res = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId: sheetId,
+      ranges: [`${tabName}!B2:B`, `${tabName}!A${guess}:${lastColumn}`],
+    });
+    const [dates, guessed] = res.data.valueRanges;
+    const idx = (dates.values || []).findIndex(
+      (row) => (row[0] || '') >= options.since
+    );
+    if (idx < 0) return [];
+    const firstRow = idx + 2;
+    sinceRows.set(tabName, firstRow);
+
+    let rows = (guessed.values || []).slice(firstRow - guess);
+    if (firstRow < guess) {
+      const again = await sheets.spreadsheets.values.get({
+        spreadsheetId: sheetId,
+        range: `${tabName}!A${firstRow}:${lastColumn}`,
+      });
+      rows = again.data.values || [];
+    }
+    return rows
+      .map((row) => eventFromRow(row))
+      .filter((row) => row.date && row.person)
+      .filter((row) => row.date >= options.since);
+  }
+
+  async function renamePerson(tabName, from, to) {
+    const sheets = await getSheetsClient();
+    const res = await sheets.spreadsheets.values.get({
+      spreadsheetId: sheetId,
+      range: `${tabName}!C2:C`,
+    });
+
+    const rows = res.data.values || [];
+    const data = [];
+    rows.forEach((row, idx) => {
+      if (samePerson(row[0], from)) {
+        data.push({ range: `${tabName}!C${idx + 2}`, values: [[to]] });
+      }
+    });
+    if (data.length === 0) return 0;
+
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: sheetId,
+      requestBody: { valueInputOption: 'RAW', data },
+    });
+    return data.length;
+  }
+
+  async function readArchivedEvents(tabName) {
+    const archiveTab = `${tabName}_Archive`;
+    if (!(await getSheetNames()).includes(archiveTab)) return [];
+    const rows = await readEventRows(archiveTab);
+    return rows.filter((row) => row.date && row.person);
+  }
+
+  // Old rows are copied to `<tab>_Archive` first; the swap itself is one
+  // batchUpdate (delete old rows, insert aggregates under the header), which
+  // Sheets applies atomically and which leaves rows appended meanwhile alone.
+  // A run that failed after archiving left its rows in the archive, so only
+  // rows not there yet are copied, and only archived rows are deleted.
+  async function compactEvents(tabName, before, aggregates) {
+    const rows = await readEventRows(tabName);
+    const oldIndexes = [];
+    rows.forEach((event, idx) => {
+      if (event.date && event.date < before && !isAggregate(event)) {
+        oldIndexes.push(idx + 1);
+      }
+    });
+    if (oldIndexes.length === 0) return 0;
+
+    const archiveTab = `${tabName}_Archive`;
+    await ensureEventsSheet(archiveTab);
+    const rowKey = (event) => JSON.stringify(eventToRow(event));
+    const archived = new Map();
+    for (const event of await readEventRows(archiveTab)) {
+      const key = rowKey(event);
+      archived.set(key, (archived.get(key) || 0) + 1);
+    }
+    const missing = [];
+    for (const rowIndex of oldIndexes) {
+      const key = rowKey(rows[rowIndex - 1]);
+      if (archived.get(key) > 0) {
+        archived.set(key, archived.get(key) - 1);
+      } else {
+        missing.push(rows[rowIndex - 1]);
+      }
+    }
+    const sheets = await getSheetsClient();
+    if (missing.length > 0) {
+      await sheets.spreadsheets.values.append({
+        spreadsheetId: sheetId,
+        range: `${archiveTab}!A:${columnLetter(EVENTS_HEADER.length)}`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        requestBody: { values: missing.map((event) => eventToRow(event)) },
+      });
+    }
+
+    // Runs of neighbouring rows are deleted together, bottom up, so earlier
+    // deletes don't shift the indexes of later ones.
+    const spans = [];
+    for (const rowIndex of oldIndexes) {
+      const last = spans[spans.length - 1];
+      if (last && last.endIndex === rowIndex) {
+        last.endIndex += 1;
+      } else {
+        spans.push({ startIndex: rowIndex, endIndex: rowIndex + 1 });
+      }
+    }
+    const gridId = await getSheetGridId(tabName);
+    const requests = spans.reverse().map((span) => ({
+      deleteDimension: {
+        range: { sheetId: gridId, dimension: 'ROWS', ...span },
+      },
+    }));
+    if (aggregates.length > 0) {
+      requests.push(
+        {
+          insertDimension: {
+            range: {
+              sheetId: gridId,
+              dimension: 'ROWS',
+              startIndex: 1,
+              endIndex: 1 + aggregates.length,
+            },
+          },
+        },
+        {
+          updateCells: {
+            start: { sheetId: gridId, rowIndex: 1, columnIndex: 0 },
+            rows: aggregates.map((event) => ({
+              values: eventToRow(event).map((value) => toCellData(value)),
+            })),
+            fields: 'userEnteredValue',
+          },
+        }
+      );
+    }
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId: sheetId,
+      requestBody: { requests },
+    });
+    return oldIndexes.length;
+  }
+
+  async function deleteEvents(tabName) {
+    const names = [tabName, `${tabName}_Archive`];
+    const sheets = await getSheetsClient();
+    const res = await sheets.spreadsheets.get({
+      spreadsheetId: sheetId,
+      fields: 'sheets.properties(sheetId,title)',
+    });
+    const targets = (res.data.sheets || []).filter((s) =>
+      names.includes(s.properties.title)
+    );
+    if (targets.length > 0) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId: sheetId,
+        requestBody: {
+          requests: targets.map((s) => ({
+            deleteSheet: { sheetId: s.properties.sheetId },
+          })),
+        },
+      });
+    }
+    names.forEach((name) => verifiedSheets.delete(name));
+  }
+
+  return {
+    name: 'sheets',
+    readFamilies,
+    getFamily,
+    findFamilies,
+    saveFamily,
+    removeFamilyRows,
+    appendEvent,
+    appendEvents,
+    readEvents,
+    renamePerson,
+    readArchivedEvents,
+    compactEvents,
+    deleteEvents,
+  };
+}
+
+module.exports = {
+  EVENTS_HEADER,
+  FAMILIES_HEADER,
+  createSheetsStore,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+function toInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function normalizeEvent(event) {
+  return {
+    timestamp_iso: event.timestamp_iso || '',
+    date: event.date || '',
+    person: event.person || '',
+    delta: toInt(event.delta),
+    who: event.who || '',
+    note: event.note || '',
+    type: event.type || '',
+    ref: event.ref || '',
+    request_id: event.request_id || '',
+  };
+}
+
+// Thrown by saveFamily when the stored row changed since it was read.
+const FAMILY_CONFLICT = 'FamilyConflict';
+
+function familyConflict(userId) {
+  const err = new Error(`Family ${userId} was changed by another request`);
+  err.code = FAMILY_CONFLICT;
+  return err;
+}
+
+// Rows written by compaction, standing in for every event of one day,
+// child and adult that was rolled up.
+const AGGREGATE_TYPES = ['aggregate', 'redeem_aggregate'];
+
+function isAggregate(event) {
+  return AGGREGATE_TYPES.includes(event.type);
+}
+
+function collectRedemptionRefs(events) {
+  return new Set(
+    events
+      .filter((event) => event.type === 'redeem')
+      .map((event) => event.timestamp_iso)
+  );
+}
+
+// Redemptions spend points rather than penalise, so they (and undoing one)
+// only move the balance, never the daily totals.
+function isRedemption(event, redemptions) {
+  return (
+    event.type === 'redeem' ||
+    event.type === 'redeem_aggregate' ||
+    (event.type === 'undo' && redemptions.has(event.ref))
+  );
+}
+
+function samePerson(a, b) {
+  return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+}
+
+module.exports = {
+  AGGREGATE_TYPES,
+  FAMILY_CONFLICT,
+  familyConflict,
+  toInt,
+  normalizeEvent,
+  isAggregate,
+  collectRedemptionRefs,
+  isRedemption,
+  samePerson,
+};
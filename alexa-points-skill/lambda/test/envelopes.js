@@ -0,0 +1,91 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const FIXTURES = {
+  launch: require('./fixtures/launch.json'),
+  configureKids: require('./fixtures/configure-kids.json'),
+  adjustPoints: require('./fixtures/adjust-points.json'),
+  summary: require('./fixtures/summary.json'),
+  dailySummaryMessage: require('./fixtures/daily-summary-message.json'),
+  canFulfill: require('./fixtures/can-fulfill.json'),
+  setNickname: require('./fixtures/set-nickname.json'),
+};
+
+function buildSlot(name, override) {
+  if (override === null) {
+    return { name, confirmationStatus: 'NONE' };
+  }
+  const {
+    value,
+    id,
+    confirmationStatus = 'NONE',
+  } = typeof override === 'object' ? override : { value: String(override) };
+  const slot = { name, value, confirmationStatus, source: 'USER' };
+  if (id) {
+    slot.resolutions = {
+      resolutionsPerAuthority: [
+        {
+          authority: `amzn1.er-authority.echo-sdk.test.${name}`,
+          status: { code: 'ER_SUCCESS_MATCH' },
+          values: [{ value: { name: id, id } }],
+        },
+      ],
+    };
+  }
+  return slot;
+}
+
+// Returns a copy of a recorded envelope with a fresh request id. Slots are
+// given as `{ slot: 'value' }`, `{ slot: { value, id, confirmationStatus } }`
+// for a resolved or confirmed value, or `{ slot: null }` to clear one. With
+// `slotsOnly` the other recorded slots are cleared, the way a bare answer
+// to a question arrives.
+function envelope(name, overrides = {}) {
+  const fixture = FIXTURES[name];
+  if (!fixture) {
+    throw new Error(`Unknown fixture: ${name}`);
+  }
+  const copy = JSON.parse(JSON.stringify(fixture));
+  const { request, context, session } = copy;
+
+  request.requestId =
+    overrides.requestId || `amzn1.echo-api.request.${crypto.randomUUID()}`;
+  if (overrides.locale) {
+    request.locale = overrides.locale;
+  }
+  if (overrides.userId) {
+    context.System.user.userId = overrides.userId;
+    if (session) session.user.userId = overrides.userId;
+  }
+  if (overrides.personId) {
+    context.System.person = { personId: overrides.personId };
+  }
+  if (overrides.attributes) {
+    session.attributes = overrides.attributes;
+  }
+  if (overrides.apl === false) {
+    delete context.System.device.supportedInterfaces['Alexa.Presentation.APL'];
+    delete context.Viewport;
+    delete context.Viewports;
+  }
+  if (overrides.intent) {
+    request.intent.name = overrides.intent;
+  }
+  if (overrides.dialogState) {
+    request.dialogState = overrides.dialogState;
+  }
+  if (overrides.slotsOnly) {
+    for (const slotName of Object.keys(request.intent.slots)) {
+      request.intent.slots[slotName] = buildSlot(slotName, null);
+    }
+  }
+  for (const [slotName, value] of Object.entries(overrides.slots || {})) {
+    request.intent.slots[slotName] = buildSlot(slotName, value);
+  }
+  return copy;
+}
+
+module.exports = {
+  envelope,
+};
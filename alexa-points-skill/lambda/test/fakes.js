@@ -0,0 +1,438 @@
+'use strict';
+
+const AWS = require('aws-sdk');
+const Alexa = require('ask-sdk-core');
+const { google } = require('googleapis');
+const { setStore } = require('../storage');
+
+function columnIndex(letters) {
+  let index = 0;
+  for (const char of letters) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Parses the A1 ranges the Sheets store uses: `Tab!A2:S`, `Tab!C2:C`,
+// `Tab!A:I`, `Tab!C5`. Missing bounds are left open.
+function parseRange(range) {
+  const match = /^(.+)!([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/.exec(range);
+  if (!match) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+  const [, title, fromCol, fromRow, toCol, toRow] = match;
+  let endRow = null;
+  if (toRow) {
+    endRow = Number(toRow) - 1;
+  } else if (!toCol && fromRow) {
+    endRow = Number(fromRow) - 1;
+  }
+  return {
+    title,
+    startCol: columnIndex(fromCol),
+    endCol: columnIndex(toCol || fromCol),
+    startRow: fromRow ? Number(fromRow) - 1 : 0,
+    endRow,
+  };
+}
+
+// Cells come back as strings and trailing blanks are dropped, the way the
+// Sheets API returns FORMATTED_VALUE reads.
+function trimRow(row) {
+  const out = row.map((cell) => (cell === undefined ? '' : cell));
+  while (out.length > 0 && out[out.length - 1] === '') out.pop();
+  return out;
+}
+
+function toCell(value) {
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function createFakeSpreadsheet() {
+  const sheets = new Map();
+  const calls = [];
+  const failures = new Map();
+  let nextGridId = 1;
+
+  function getSheet(title) {
+    const sheet = sheets.get(title);
+    if (!sheet) {
+      throw new Error(`Unable to parse range: ${title}`);
+    }
+    return sheet;
+  }
+
+  function findByGridId(gridId) {
+    for (const sheet of sheets.values()) {
+      if (sheet.sheetId === gridId) return sheet;
+    }
+    throw new Error(`No grid with id ${gridId}`);
+  }
+
+  function addSheet(title) {
+    if (sheets.has(title)) {
+      throw new Error(`A sheet with the name "${title}" already exists.`);
+    }
+    const sheet = { sheetId: nextGridId, title, rows: [] };
+    nextGridId += 1;
+    sheets.set(title, sheet);
+    return sheet;
+  }
+
+  function readRange(range) {
+    const { title, startCol, endCol, startRow, endRow } = parseRange(range);
+    const sheet = getSheet(title);
+    const last = endRow === null ? sheet.rows.length - 1 : endRow;
+    const values = [];
+    for (let r = startRow; r <= last && r < sheet.rows.length; r += 1) {
+      values.push(trimRow((sheet.rows[r] || []).slice(startCol, endCol + 1)));
+    }
+    while (values.length > 0 && values[values.length - 1].length === 0) {
+      values.pop();
+    }
+    return values.length > 0 ? values : undefined;
+  }
+
+  function writeRange(range, values) {
+    const { title, startCol, startRow } = parseRange(range);
+    const sheet = getSheet(title);
+    values.forEach((row, r) => {
+      const target = sheet.rows[startRow + r] || [];
+      row.forEach((value, c) => {
+        target[startCol + c] = toCell(value);
+      });
+      sheet.rows[startRow + r] = target;
+    });
+  }
+
+  function lastUsedRow(sheet) {
+    let last = sheet.rows.length - 1;
+    while (last >= 0 && trimRow(sheet.rows[last] || []).length === 0) {
+      last -= 1;
+    }
+    return last;
+  }
+
+  function applyRequest(request) {
+    if (request.addSheet) {
+      addSheet(request.addSheet.properties.title);
+    } else if (request.deleteSheet) {
+      const sheet = findByGridId(request.deleteSheet.sheetId);
+      sheets.delete(sheet.title);
+    } else if (request.deleteDimension) {
+      const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+      findByGridId(sheetId).rows.splice(startIndex, endIndex - startIndex);
+    } else if (request.insertDimension) {
+      const { sheetId, startIndex, endIndex } = request.insertDimension.range;
+      const blanks = Array.from({ length: endIndex - startIndex }, () => []);
+      findByGridId(sheetId).rows.splice(startIndex, 0, ...blanks);
+    } else if (request.updateCells) {
+      const { start, rows } = request.updateCells;
+      const sheet = findByGridId(start.sheetId);
+      rows.forEach((row, r) => {
+        const target = sheet.rows[start.rowIndex + r] || [];
+        row.values.forEach((cell, c) => {
+          const value = cell.userEnteredValue || {};
+          target[start.columnIndex + c] = toCell(
+            value.numberValue !== undefined
+              ? value.numberValue
+              : value.stringValue
+          );
+        });
+        sheet.rows[start.rowIndex + r] = target;
+      });
+    } else {
+      throw new Error(`Unsupported request: ${Object.keys(request)[0]}`);
+    }
+  }
+
+  // A failure set with `failNext` is thrown before the call changes
+  // anything, the way a rejected request leaves the sheet as it was.
+  function record(method, params) {
+    calls.push({ method, params });
+    const error = failures.get(method);
+    if (error) {
+      failures.delete(method);
+      throw error;
+    }
+  }
+
+  const client = {
+    spreadsheets: {
+      async get(params) {
+        record('get', params);
+        return {
+          data: {
+            sheets: [...sheets.values()].map(({ sheetId, title }) => ({
+              properties: { sheetId, title },
+            })),
+          },
+        };
+      },
+      async batchUpdate(params) {
+        record('batchUpdate', params);
+        params.requestBody.requests.forEach((request) => applyRequest(request));
+        return { data: {} };
+      },
+      values: {
+        async get(params) {
+          record('values.get', params);
+          return {
+            data: { range: params.range, values: readRange(params.range) },
+          };
+        },
+        async batchGet(params) {
+          record('values.batchGet', params);
+          return {
+            data: {
+              valueRanges: params.ranges.map((range) => ({
+                range,
+                values: readRange(range),
+              })),
+            },
+          };
+        },
+        async update(params) {
+          record('values.update', params);
+          writeRange(params.range, params.requestBody.values);
+          return { data: {} };
+        },
+        async append(params) {
+          record('values.append', params);
+          const { title, startCol } = parseRange(params.range);
+          const sheet = getSheet(title);
+          const firstRow = lastUsedRow(sheet) + 1;
+          params.requestBody.values.forEach((row, r) => {
+            const target = [];
+            row.forEach((value, c) => {
+              target[startCol + c] = toCell(value);
+            });
+            sheet.rows.splice(firstRow + r, 0, target);
+          });
+          return { data: {} };
+        },
+        async batchUpdate(params) {
+          record('values.batchUpdate', params);
+          params.requestBody.data.forEach((entry) =>
+            writeRange(entry.range, entry.values)
+          );
+          return { data: {} };
+        },
+      },
+    },
+  };
+
+  return {
+    client,
+    calls,
+    addSheet(title, rows = []) {
+      addSheet(title).rows = rows.map((row) => row.map((cell) => toCell(cell)));
+    },
+    failNext(method, error) {
+      failures.set(method, error);
+    },
+    appendRow(title, row) {
+      getSheet(title).rows.push(row.map((cell) => toCell(cell)));
+    },
+    hasSheet: (title) => sheets.has(title),
+    // Rows below the header, trimmed like an API read.
+    rows(title) {
+      return readRange(`${title}!A2:Z`) || [];
+    },
+  };
+}
+
+function createFakeSecrets(secrets) {
+  const requests = [];
+  class FakeSecretsManager {
+    constructor(options = {}) {
+      this.region = options.region;
+    }
+
+    getSecretValue(params) {
+      requests.push({ region: this.region, secretId: params.SecretId });
+      return {
+        promise: async () => {
+          if (!(params.SecretId in secrets)) {
+            const error = new Error(
+              "Secrets Manager can't find the specified secret."
+            );
+            error.code = 'ResourceNotFoundException';
+            throw error;
+          }
+          return { SecretString: secrets[params.SecretId] };
+        },
+      };
+    }
+  }
+  return { SecretsManager: FakeSecretsManager, requests };
+}
+
+// Covers the DocumentClient calls the DynamoDB store makes on event tables:
+// key-condition queries on tab_name, batch writes and transactions. Items are
+// keyed by tab_name and event_id.
+function createFakeDocumentClient() {
+  const tables = new Map();
+  const calls = [];
+
+  function table(name) {
+    if (!tables.has(name)) tables.set(name, new Map());
+    return tables.get(name);
+  }
+
+  function keyOf({ tab_name: tab, event_id: id }) {
+    return `${tab}|${id}`;
+  }
+
+  function apply(tableName, write) {
+    if (write.Item) table(tableName).set(keyOf(write.Item), { ...write.Item });
+    else table(tableName).delete(keyOf(write.Key));
+  }
+
+  function request(method, params, run) {
+    return {
+      promise: async () => {
+        calls.push({ method, params });
+        return run();
+      },
+    };
+  }
+
+  const client = {
+    query: (params) =>
+      request('query', params, () => {
+        const values = params.ExpressionAttributeValues;
+        const Items = [...table(params.TableName).values()]
+          .filter((item) => item.tab_name === values[':tab'])
+          .filter(
+            (item) => !values[':since'] || item.event_id >= values[':since']
+          )
+          .sort((a, b) => (a.event_id < b.event_id ? -1 : 1))
+          .map((item) => ({ ...item }));
+        return { Items };
+      }),
+    batchWrite: (params) =>
+      request('batchWrite', params, () => {
+        for (const [tableName, writes] of Object.entries(params.RequestItems)) {
+          for (const write of writes) {
+            apply(tableName, write.PutRequest || write.DeleteRequest);
+          }
+        }
+        return { UnprocessedItems: {} };
+      }),
+    transactWrite: (params) =>
+      request('transactWrite', params, () => {
+        if (params.TransactItems.length > 100) {
+          throw new Error('Member must have length less than or equal to 100');
+        }
+        for (const write of params.TransactItems) {
+          const op = write.Put || write.Delete;
+          apply(op.TableName, op);
+        }
+        return {};
+      }),
+  };
+
+  return {
+    client,
+    calls,
+    addItems(tableName, items) {
+      for (const item of items) apply(tableName, { Item: item });
+    },
+    items: (tableName) => [...table(tableName).values()],
+  };
+}
+
+// Answers the Alexa service calls the skill makes through its API client.
+// Anything else fails, so a test never reaches the network.
+function createFakeAlexaApi({ timezone = 'Europe/Oslo' } = {}) {
+  const requests = [];
+  async function invoke(request) {
+    requests.push(request);
+    const { pathname } = new URL(request.url);
+    if (/^\/v2\/devices\/[^/]+\/settings\/System\.timeZone$/.test(pathname)) {
+      return { statusCode: 200, headers: [], body: JSON.stringify(timezone) };
+    }
+    if (request.method === 'POST' && pathname === '/v1/alerts/reminders') {
+      const body = JSON.stringify({ alertToken: 'test-alert', status: 'ON' });
+      return { statusCode: 201, headers: [], body };
+    }
+    throw new Error(`Unexpected Alexa API call: ${request.method} ${pathname}`);
+  }
+  return { invoke, requests };
+}
+
+// Routes the Sheets store's Secrets Manager, Google auth and Alexa API calls
+// to in-memory fakes, and starts from a fresh store. `restore` undoes it.
+function installFakes(options = {}) {
+  const secretName = options.secretName || 'test/points-sheet';
+  const spreadsheet = createFakeSpreadsheet();
+  const secrets = createFakeSecrets({
+    [secretName]: JSON.stringify({
+      service_account: {
+        type: 'service_account',
+        client_email: 'skill@test.iam.gserviceaccount.com',
+        private_key: 'test-key',
+      },
+    }),
+  });
+  const alexaApi = createFakeAlexaApi(options);
+
+  const originals = {
+    SecretsManager: AWS.SecretsManager,
+    GoogleAuth: google.auth.GoogleAuth,
+    sheets: google.sheets,
+    invoke: Alexa.DefaultApiClient.prototype.invoke,
+    env: {},
+  };
+  const env = {
+    STORAGE_BACKEND: 'sheets',
+    GOOGLE_SHEET_ID: 'test-sheet',
+    GOOGLE_SA_SECRET_NAME: secretName,
+    GOOGLE_SA_SECRET_REGION: 'eu-west-1',
+  };
+
+  const auth = [];
+  AWS.SecretsManager = secrets.SecretsManager;
+  google.auth.GoogleAuth = class FakeGoogleAuth {
+    constructor(authOptions) {
+      auth.push(authOptions);
+    }
+
+    async getClient() {
+      return {};
+    }
+  };
+  google.sheets = () => spreadsheet.client;
+  Alexa.DefaultApiClient.prototype.invoke = alexaApi.invoke;
+
+  for (const [key, value] of Object.entries(env)) {
+    originals.env[key] = process.env[key];
+    process.env[key] = value;
+  }
+  setStore(null);
+
+  return {
+    spreadsheet,
+    secrets: secrets.requests,
+    auth,
+    alexaApi: alexaApi.requests,
+    restore() {
+      AWS.SecretsManager = originals.SecretsManager;
+      google.auth.GoogleAuth = originals.GoogleAuth;
+      google.sheets = originals.sheets;
+      Alexa.DefaultApiClient.prototype.invoke = originals.invoke;
+      for (const [key, value] of Object.entries(originals.env)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      setStore(null);
+    },
+  };
+}
+
+module.exports = {
+  createFakeDocumentClient,
+  createFakeSpreadsheet,
+  installFakes,
+};
@@ -0,0 +1,902 @@
+'use strict';
+
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Settings } = require('luxon');
+
+const { installFakes } = require('./fakes');
+const { envelope } = require('./envelopes');
+const { FAMILIES_HEADER, EVENTS_HEADER } = require('../storage/sheets');
+const en = require('../i18n/en');
+const de = require('../i18n/de');
+const { handler } = require('../index');
+const { exportFamily } = require('../export');
+const { getStore } = require('../storage');
+
+const USER_ID = 'amzn1.ask.account.AGZTESTPARENT0001';
+const TAB_NAME = `Family_${crypto
+  .createHash('sha256')
+  .update(USER_ID)
+  .digest('hex')
+  .slice(0, 10)}`;
+// Wednesday evening in Oslo.
+const NOW = Date.parse('2026-03-11T18:00:00Z');
+
+function send(requestEnvelope) {
+  return new Promise((resolve, reject) => {
+    handler(requestEnvelope, {}, (err, result) =>
+      err ? reject(err) : resolve(result)
+    );
+  });
+}
+
+async function invoke(requestEnvelope) {
+  return (await send(requestEnvelope)).response;
+}
+
+function speech(response) {
+  return response.outputSpeech.ssml.replace(/^<speak>|<\/speak>$/g, '');
+}
+
+function reprompt(response) {
+  return speech(response.reprompt);
+}
+
+function directive(response, type) {
+  return (response.directives || []).find((d) => d.type === type);
+}
+
+// `columns` fills other Families columns by header name.
+function seedFamily(spreadsheet, kids, events = [], columns = {}) {
+  const now = '2026-03-01T10:00:00.000+01:00';
+  const row = [USER_ID, TAB_NAME, kids.join(', '), now, now, 'Europe/Oslo'];
+  row[FAMILIES_HEADER.indexOf('version')] = 1;
+  for (const [column, value] of Object.entries(columns)) {
+    row[FAMILIES_HEADER.indexOf(column)] = value;
+  }
+  spreadsheet.addSheet('Families', [FAMILIES_HEADER, row]);
+  spreadsheet.addSheet(TAB_NAME, [
+    EVENTS_HEADER,
+    ...events.map(([date, person, delta, note = '']) => [
+      `${date}T17:00:00.000+01:00`,
+      date,
+      person,
+      delta,
+      'Parent',
+      note,
+    ]),
+  ]);
+}
+
+describe('skill', () => {
+  let fakes;
+
+  before(() => {
+    Settings.now = () => NOW;
+  });
+
+  after(() => {
+    Settings.now = () => Date.now();
+  });
+
+  beforeEach(() => {
+    fakes = installFakes({ timezone: 'Europe/Oslo' });
+  });
+
+  afterEach(() => {
+    fakes.restore();
+  });
+
+  describe('LaunchRequest', () => {
+    it('asks a new account for the kids names', async () => {
+      const response = await invoke(envelope('launch'));
+
+      assert.equal(speech(response), en.welcome);
+      assert.equal(reprompt(response), en.askKidNames);
+      assert.equal(response.shouldEndSession, false);
+      assert.equal(response.directives, undefined);
+      assert.deepEqual(fakes.secrets, [
+        { region: 'eu-west-1', secretId: 'test/points-sheet' },
+      ]);
+      assert.deepEqual(fakes.auth[0].scopes, [
+        'https://www.googleapis.com/auth/spreadsheets',
+      ]);
+      assert.deepEqual(fakes.spreadsheet.rows('Families'), []);
+    });
+
+    it("speaks today's points and sends the kids and the chart", async () => {
+      seedFamily(
+        fakes.spreadsheet,
+        ['Anna', 'Ben'],
+        [
+          ['2026-03-11', 'Anna', 3, 'homework'],
+          ['2026-03-11', 'Ben', 1],
+          ['2026-03-10', 'Ben', 5],
+        ]
+      );
+
+      const response = await invoke(envelope('launch'));
+
+      assert.equal(
+        speech(response),
+        'Today, Anna has 3 points and Ben has 1 point.'
+      );
+      assert.equal(reprompt(response), en.followUp);
+      assert.deepEqual(directive(response, 'Dialog.UpdateDynamicEntities'), {
+        type: 'Dialog.UpdateDynamicEntities',
+        updateBehavior: 'REPLACE',
+        types: [
+          {
+            name: 'KID_NAME',
+            values: [{ name: { value: 'Anna' } }, { name: { value: 'Ben' } }],
+          },
+        ],
+      });
+
+      const apl = directive(response, 'Alexa.Presentation.APL.RenderDocument');
+      assert.equal(apl.token, 'trend');
+      const { payload } = apl.datasources;
+      assert.equal(payload.summaryLabel, 'Today');
+      assert.deepEqual(payload.summary, [
+        { name: 'Anna', value: 3, display: '3 points' },
+        { name: 'Ben', value: 1, display: '1 point' },
+      ]);
+    });
+
+    it('merges the rows two devices appended for one account', async () => {
+      seedFamily(fakes.spreadsheet, ['Anna']);
+      const duplicate = [...fakes.spreadsheet.rows('Families')[0]];
+      duplicate[FAMILIES_HEADER.indexOf('kids')] = 'Ben';
+      duplicate[FAMILIES_HEADER.indexOf('updated_at')] =
+        '2026-03-01T10:00:05.000+01:00';
+      fakes.spreadsheet.appendRow('Families', duplicate);
+
+      const response = await invoke(envelope('launch'));
+
+      assert.equal(
+        speech(response),
+        'Today, Anna has 0 points and Ben has 0 points.'
+      );
+      const rows = fakes.spreadsheet.rows('Families');
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0][FAMILIES_HEADER.indexOf('kids')], 'Anna, Ben');
+    });
+
+    it('leaves out the chart on devices without a screen', async () => {
+      seedFamily(fakes.spreadsheet, ['Anna']);
+
+      const response = await invoke(envelope('launch', { apl: false }));
+
+      assert.equal(speech(response), 'Today, Anna has 0 points.');
+      assert.ok(directive(response, 'Dialog.UpdateDynamicEntities'));
+      assert.equal(
+        directive(response, 'Alexa.Presentation.APL.RenderDocument'),
+        undefined
+      );
+    });
+
+    it('speaks the request locale', async () => {
+      const response = await invoke(envelope('launch', { locale: 'de-DE' }));
+
+      assert.equal(speech(response), de.welcome);
+      assert.equal(reprompt(response), de.askKidNames);
+    });
+  });
+
+  describe('ConfigureKidsIntent', () => {
+    beforeEach(() => {
+      fakes.restore();
+      fakes = installFakes({ timezone: 'America/New_York' });
+    });
+
+    it('saves the kids with the device time zone', async () => {
+      const response = await invoke(envelope('configureKids'));
+
+      assert.equal(
+        speech(response),
+        'Great. I will track points for Anna and Ben. You can say, add a point for Anna.'
+      );
+      assert.equal(reprompt(response), en.followUp);
+      assert.deepEqual(
+        directive(response, 'Dialog.UpdateDynamicEntities').types[0].values,
+        [{ name: { value: 'Anna' } }, { name: { value: 'Ben' } }]
+      );
+
+      const [row] = fakes.spreadsheet.rows('Families');
+      assert.equal(row[FAMILIES_HEADER.indexOf('user_id')], USER_ID);
+      assert.equal(row[FAMILIES_HEADER.indexOf('tab_name')], TAB_NAME);
+      assert.equal(row[FAMILIES_HEADER.indexOf('kids')], 'Anna, Ben');
+      assert.equal(
+        row[FAMILIES_HEADER.indexOf('timezone')],
+        'America/New_York'
+      );
+      assert.ok(fakes.spreadsheet.hasSheet(TAB_NAME));
+      assert.ok(
+        fakes.alexaApi.some((request) =>
+          request.url.endsWith('/settings/System.timeZone')
+        )
+      );
+    });
+
+    it('asks again when no names were heard', async () => {
+      const response = await invoke(
+        envelope('configureKids', { slots: { kids: null } })
+      );
+
+      assert.equal(speech(response), en['configure.noNames']);
+      assert.equal(reprompt(response), en.askKidNames);
+      assert.equal(fakes.spreadsheet.hasSheet('Families'), false);
+    });
+  });
+
+  describe('AdjustPointsIntent', () => {
+    beforeEach(() => {
+      seedFamily(
+        fakes.spreadsheet,
+        ['Anna', 'Ben'],
+        [['2026-03-11', 'Anna', 1]]
+      );
+    });
+
+    it('adds points with a reason', async () => {
+      const request = envelope('adjustPoints');
+      const response = await invoke(request);
+
+      assert.equal(
+        speech(response),
+        'Okay, added 2 points for Anna for cleaning her room. Anna has 3 points today.'
+      );
+      assert.equal(reprompt(response), en.followUp);
+      assert.ok(directive(response, 'Dialog.UpdateDynamicEntities'));
+      const apl = directive(response, 'Alexa.Presentation.APL.RenderDocument');
+      assert.deepEqual(apl.datasources.payload.summary[0], {
+        name: 'Anna',
+        value: 3,
+        display: '3 points',
+      });
+
+      const events = fakes.spreadsheet.rows(TAB_NAME);
+      assert.equal(events.length, 2);
+      const event = events[1];
+      assert.equal(event[EVENTS_HEADER.indexOf('date')], '2026-03-11');
+      assert.equal(event[EVENTS_HEADER.indexOf('person')], 'Anna');
+      assert.equal(event[EVENTS_HEADER.indexOf('delta')], '2');
+      assert.equal(event[EVENTS_HEADER.indexOf('note')], 'cleaning her room');
+      assert.equal(
+        event[EVENTS_HEADER.indexOf('request_id')],
+        request.request.requestId
+      );
+    });
+
+    it('takes points away for the reduce direction', async () => {
+      const response = await invoke(
+        envelope('adjustPoints', {
+          slots: {
+            person: 'ben',
+            delta: '3',
+            direction: { value: 'take away', id: 'reduce' },
+            reason: null,
+          },
+        })
+      );
+
+      assert.equal(
+        speech(response),
+        'Okay, reduced 3 points for Ben. Ben has minus 3 points today.'
+      );
+      const event = fakes.spreadsheet.rows(TAB_NAME)[1];
+      assert.equal(event[EVENTS_HEADER.indexOf('person')], 'Ben');
+      assert.equal(event[EVENTS_HEADER.indexOf('delta')], '-3');
+      assert.equal(event[EVENTS_HEADER.indexOf('note')], 'Reduced 3');
+    });
+
+    it('asks for the child when the name is not one of the kids', async () => {
+      const response = await invoke(
+        envelope('adjustPoints', { slots: { person: 'zed' } })
+      );
+
+      const ask = 'Which child should I update? You can say Anna and Ben.';
+      assert.equal(speech(response), ask);
+      assert.equal(reprompt(response), ask);
+      assert.ok(directive(response, 'Dialog.UpdateDynamicEntities'));
+      const elicit = directive(response, 'Dialog.ElicitSlot');
+      assert.equal(elicit.slotToElicit, 'person');
+      assert.equal(elicit.updatedIntent.slots.person.value, undefined);
+      assert.equal(elicit.updatedIntent.slots.delta.value, '2');
+      assert.equal(
+        elicit.updatedIntent.slots.reason.value,
+        'cleaning her room'
+      );
+      assert.equal(fakes.spreadsheet.rows(TAB_NAME).length, 1);
+    });
+
+    it('asks only for the unmatched child of several', async () => {
+      const response = await invoke(
+        envelope('adjustPoints', { slots: { personTwo: 'zed' } })
+      );
+
+      const elicit = directive(response, 'Dialog.ElicitSlot');
+      assert.equal(elicit.slotToElicit, 'personTwo');
+      assert.equal(elicit.updatedIntent.slots.person.value, 'anna');
+    });
+
+    it('keeps the amount when the child is named in the answer', async () => {
+      const first = await send(
+        envelope('adjustPoints', { slots: { person: null, delta: '4' } })
+      );
+      assert.equal(
+        directive(first.response, 'Dialog.ElicitSlot').slotToElicit,
+        'person'
+      );
+
+      // Alexa didn't route the answer back with the held slots, so only
+      // the session remembers the amount and the reason.
+      const response = await invoke(
+        envelope('adjustPoints', {
+          slotsOnly: true,
+          slots: { person: 'ben' },
+          attributes: first.sessionAttributes,
+        })
+      );
+
+      assert.equal(
+        speech(response),
+        'Okay, added 4 points for Ben for cleaning her room. Ben has 4 points today.'
+      );
+      const event = fakes.spreadsheet.rows(TAB_NAME)[1];
+      assert.equal(event[EVENTS_HEADER.indexOf('person')], 'Ben');
+      assert.equal(event[EVENTS_HEADER.indexOf('delta')], '4');
+    });
+
+    it('drops the held slots when the next request is another intent', async () => {
+      const first = await send(
+        envelope('adjustPoints', { slots: { person: null, delta: '4' } })
+      );
+      const summary = await send(
+        envelope('summary', { attributes: first.sessionAttributes })
+      );
+      assert.equal(summary.sessionAttributes.pendingAdjust, undefined);
+
+      const response = await invoke(
+        envelope('adjustPoints', {
+          slotsOnly: true,
+          slots: { person: 'ben' },
+          attributes: summary.sessionAttributes,
+        })
+      );
+
+      assert.equal(
+        speech(response),
+        'Okay, added 1 point for Ben. Ben has 1 point today.'
+      );
+    });
+
+    it('checks a large amount before saving it', async () => {
+      const response = await invoke(
+        envelope('adjustPoints', { slots: { delta: '50' } })
+      );
+
+      assert.equal(
+        speech(response),
+        'That is a lot of points. Should I add 50 points for Anna?'
+      );
+      assert.equal(reprompt(response), 'Should I add 50 points for Anna?');
+      const confirm = directive(response, 'Dialog.ConfirmSlot');
+      assert.equal(confirm.slotToConfirm, 'delta');
+      assert.equal(confirm.updatedIntent.slots.person.value, 'anna');
+      assert.equal(fakes.spreadsheet.rows(TAB_NAME).length, 1);
+
+      const confirmed = await invoke(
+        envelope('adjustPoints', {
+          dialogState: 'IN_PROGRESS',
+          slots: { delta: { value: '50', confirmationStatus: 'CONFIRMED' } },
+        })
+      );
+      assert.match(speech(confirmed), /^Okay, added 50 points for Anna/);
+      assert.equal(fakes.spreadsheet.rows(TAB_NAME).length, 2);
+    });
+
+    it('asks for the amount again when a large one is denied', async () => {
+      const response = await invoke(
+        envelope('adjustPoints', {
+          dialogState: 'IN_PROGRESS',
+          slots: {
+            delta: { value: '50', confirmationStatus: 'DENIED' },
+            direction: { value: 'take away', id: 'reduce' },
+          },
+        })
+      );
+
+      const ask = 'How many points should I take away from Anna?';
+      assert.equal(speech(response), ask);
+      assert.equal(reprompt(response), ask);
+      const elicit = directive(response, 'Dialog.ElicitSlot');
+      assert.equal(elicit.slotToElicit, 'delta');
+      assert.equal(elicit.updatedIntent.slots.delta.value, undefined);
+      assert.equal(fakes.spreadsheet.rows(TAB_NAME).length, 1);
+    });
+
+    it('writes a retried request only once', async () => {
+      const request = envelope('adjustPoints');
+
+      await invoke(request);
+      const response = await invoke(JSON.parse(JSON.stringify(request)));
+
+      assert.match(speech(response), /Anna has 3 points today\.$/);
+      assert.equal(fakes.spreadsheet.rows(TAB_NAME).length, 2);
+    });
+  });
+
+  describe('UndoIntent', () => {
+    it('cancels the last change and describes it on export', async () => {
+      seedFamily(
+        fakes.spreadsheet,
+        ['Anna', 'Ben'],
+        [['2026-03-11', 'Anna', 2, 'cleaning her room']]
+      );
+
+      const response = await invoke(
+        envelope('summary', { intent: 'UndoIntent', slotsOnly: true })
+      );
+
+      assert.match(speech(response), /Anna has 0 points today\.$/);
+      const [, undo] = fakes.spreadsheet.rows(TAB_NAME);
+      assert.equal(undo[EVENTS_HEADER.indexOf('delta')], '-2');
+      assert.equal(undo[EVENTS_HEADER.indexOf('note')], '');
+      assert.equal(undo[EVENTS_HEADER.indexOf('type')], 'undo');
+      assert.equal(
+        undo[EVENTS_HEADER.indexOf('ref')],
+        '2026-03-11T17:00:00.000+01:00'
+      );
+
+      const exported = JSON.parse(
+        await exportFamily(USER_ID, 'json', getStore(), 'de-DE')
+      );
+      assert.equal(exported.events[1].note, 'Rückgängig: cleaning her room');
+    });
+
+    it('gives the total of the day a backdated change counted towards', async () => {
+      seedFamily(
+        fakes.spreadsheet,
+        ['Anna', 'Ben'],
+        [
+          ['2026-03-09', 'Anna', 1],
+          ['2026-03-11', 'Anna', 5],
+        ]
+      );
+      fakes.spreadsheet.appendRow(TAB_NAME, [
+        '2026-03-11T18:30:00.000+01:00',
+        '2026-03-09',
+        'Anna',
+        2,
+        'Parent',
+      ]);
+
+      const response = await invoke(
+        envelope('summary', { intent: 'UndoIntent', slotsOnly: true })
+      );
+
+      assert.equal(
+        speech(response),
+        'Okay, I undid adding 2 points for Anna on Monday, March 9. Anna had 1 point that day.'
+      );
+    });
+  });
+
+  describe('voice profiles', () => {
+    it('credits the recognized speaker', async () => {
+      seedFamily(fakes.spreadsheet, ['Anna', 'Ben'], [], {
+        adults: 'amzn1.ask.person.AGZTESTDAD0001=Dad',
+      });
+      await invoke(
+        envelope('adjustPoints', {
+          personId: 'amzn1.ask.person.AGZTESTDAD0001',
+        })
+      );
+
+      const [event] = fakes.spreadsheet.rows(TAB_NAME);
+      assert.equal(event[EVENTS_HEADER.indexOf('person')], 'Anna');
+      assert.equal(event[EVENTS_HEADER.indexOf('who')], 'Dad');
+    });
+  });
+
+  describe('JoinFamilyIntent', () => {
+    const OTHER_USER_ID = 'amzn1.ask.account.AGZTESTPARENT0002';
+
+    beforeEach(() => {
+      seedFamily(fakes.spreadsheet, ['Anna', 'Ben'], [], {
+        invite_code: '4729',
+        invite_expires: '2026-03-12T10:00:00.000+01:00',
+      });
+    });
+
+    function joinRequest(code, attributes) {
+      return envelope('summary', {
+        intent: 'JoinFamilyIntent',
+        userId: OTHER_USER_ID,
+        slotsOnly: true,
+        slots: { code },
+        attributes,
+      });
+    }
+
+    function join(code) {
+      return invoke(joinRequest(code));
+    }
+
+    function otherRow() {
+      return fakes.spreadsheet
+        .rows('Families')
+        .find((row) => row[0] === OTHER_USER_ID);
+    }
+
+    it('links the account to the family with that code', async () => {
+      const response = await join('4729');
+
+      assert.equal(
+        speech(response),
+        'Okay, this account now shares the family. I track points for Anna and Ben.'
+      );
+      assert.equal(otherRow()[FAMILIES_HEADER.indexOf('owner')], USER_ID);
+      const [owner] = fakes.spreadsheet.rows('Families');
+      assert.equal(owner[FAMILIES_HEADER.indexOf('invite_code')], '');
+    });
+
+    it('locks joining after too many wrong codes', async () => {
+      const row = [OTHER_USER_ID, 'Family_other', 'Maya'];
+      row[FAMILIES_HEADER.indexOf('version')] = 1;
+      fakes.spreadsheet.appendRow('Families', row);
+      for (const code of ['1111', '2222', '3333', '4444']) {
+        const response = await join(code);
+        assert.match(speech(response), /^I could not find a family with code/);
+      }
+      assert.equal(otherRow()[FAMILIES_HEADER.indexOf('join_failures')], '4');
+
+      await join('5555');
+      const response = await join('4729');
+
+      assert.equal(speech(response), en['join.locked']);
+      assert.equal(otherRow()[FAMILIES_HEADER.indexOf('owner')], '');
+      assert.ok(otherRow()[FAMILIES_HEADER.indexOf('join_locked_until')]);
+    });
+
+    it('counts wrong codes in the session for an account with no row', async () => {
+      let attributes = {};
+      for (const code of ['1111', '2222', '3333', '4444', '5555']) {
+        const result = await send(joinRequest(code, attributes));
+        attributes = result.sessionAttributes;
+      }
+      assert.equal(otherRow(), undefined);
+
+      const response = await invoke(joinRequest('4729', attributes));
+
+      assert.equal(speech(response), en['join.locked']);
+      assert.equal(otherRow(), undefined);
+    });
+  });
+
+  describe('kid names', () => {
+    beforeEach(() => {
+      seedFamily(fakes.spreadsheet, ['Jasmine', 'Leah', 'Lena'], [], {
+        nicknames: 'Jasmine: Jazzy',
+      });
+    });
+
+    function adjustFor(person) {
+      return envelope('adjustPoints', { slots: { person, reason: null } });
+    }
+
+    function lastEventPerson() {
+      const events = fakes.spreadsheet.rows(TAB_NAME);
+      return events[events.length - 1][EVENTS_HEADER.indexOf('person')];
+    }
+
+    it('matches a name spelled a little differently', async () => {
+      const response = await invoke(adjustFor('jasmin'));
+
+      assert.match(speech(response), /^Okay, added 2 points for Jasmine\./);
+      assert.equal(lastEventPerson(), 'Jasmine');
+    });
+
+    it('matches a name that sounds the same', async () => {
+      const response = await invoke(adjustFor('yasmin'));
+
+      assert.match(speech(response), /^Okay, added 2 points for Jasmine\./);
+    });
+
+    it('matches a nickname and sends it as a synonym', async () => {
+      const response = await invoke(adjustFor('jazzy'));
+
+      assert.match(speech(response), /^Okay, added 2 points for Jasmine\./);
+      assert.deepEqual(
+        directive(response, 'Dialog.UpdateDynamicEntities').types[0].values,
+        [
+          { name: { value: 'Jasmine', synonyms: ['Jazzy'] } },
+          { name: { value: 'Leah' } },
+          { name: { value: 'Lena' } },
+        ]
+      );
+    });
+
+    it('checks a name that could mean more than one child', async () => {
+      const response = await invoke(adjustFor('lea'));
+
+      assert.equal(speech(response), 'Did you mean Leah?');
+      const confirm = directive(response, 'Dialog.ConfirmSlot');
+      assert.equal(confirm.slotToConfirm, 'person');
+      assert.equal(confirm.updatedIntent.slots.person.value, 'Leah');
+      assert.equal(confirm.updatedIntent.slots.delta.value, '2');
+      assert.deepEqual(fakes.spreadsheet.rows(TAB_NAME), []);
+
+      const confirmed = await invoke(
+        envelope('adjustPoints', {
+          dialogState: 'IN_PROGRESS',
+          slots: {
+            person: { value: 'Leah', confirmationStatus: 'CONFIRMED' },
+            reason: null,
+          },
+        })
+      );
+      assert.match(speech(confirmed), /^Okay, added 2 points for Leah\./);
+      assert.equal(lastEventPerson(), 'Leah');
+    });
+
+    it('asks for the child when the guess is denied', async () => {
+      const response = await invoke(
+        envelope('adjustPoints', {
+          dialogState: 'IN_PROGRESS',
+          slots: { person: { value: 'Leah', confirmationStatus: 'DENIED' } },
+        })
+      );
+
+      assert.equal(
+        speech(response),
+        'Which child should I update? You can say Jasmine, Leah, and Lena.'
+      );
+      assert.equal(
+        directive(response, 'Dialog.ElicitSlot').slotToElicit,
+        'person'
+      );
+      assert.deepEqual(fakes.spreadsheet.rows(TAB_NAME), []);
+    });
+
+    it('saves a nickname for a child', async () => {
+      const response = await invoke(
+        envelope('setNickname', { slots: { person: 'leah', nickname: 'lee' } })
+      );
+
+      assert.equal(
+        speech(response),
+        'Okay, when you say Lee, I will know you mean Leah.'
+      );
+      assert.deepEqual(
+        directive(response, 'Dialog.UpdateDynamicEntities').types[0].values[1],
+        { name: { value: 'Leah', synonyms: ['Lee'] } }
+      );
+      const [row] = fakes.spreadsheet.rows('Families');
+      assert.equal(
+        row[FAMILIES_HEADER.indexOf('nicknames')],
+        'Jasmine: Jazzy; Leah: Lee'
+      );
+    });
+
+    it("won't use another child's name as a nickname", async () => {
+      const response = await invoke(
+        envelope('setNickname', { slots: { nickname: 'lena' } })
+      );
+
+      assert.equal(speech(response), 'Lena is already one of your kids.');
+      const [row] = fakes.spreadsheet.rows('Families');
+      assert.equal(row[FAMILIES_HEADER.indexOf('nicknames')], 'Jasmine: Jazzy');
+    });
+  });
+
+  describe('SummaryIntent', () => {
+    beforeEach(() => {
+      seedFamily(
+        fakes.spreadsheet,
+        ['Anna', 'Ben'],
+        [
+          ['2026-03-11', 'Anna', 2],
+          ['2026-03-09', 'Ben', 4, 'dishes'],
+          ['2026-03-05', 'Anna', 1],
+          ['2026-03-04', 'Anna', 10],
+        ]
+      );
+    });
+
+    it('sums the last seven days', async () => {
+      const response = await invoke(envelope('summary'));
+
+      assert.equal(
+        speech(response),
+        'The weekly summary is Anna has 3 points and Ben has 4 points.'
+      );
+      assert.equal(reprompt(response), en.followUp);
+      assert.ok(directive(response, 'Dialog.UpdateDynamicEntities'));
+
+      const { payload } = directive(
+        response,
+        'Alexa.Presentation.APL.RenderDocument'
+      ).datasources;
+      assert.equal(payload.title, 'Last 7 Days');
+      assert.equal(payload.summaryLabel, 'This Week');
+      assert.equal(payload.dateLabel, 'Mar 5–Mar 11');
+      assert.deepEqual(payload.summary, [
+        { name: 'Anna', value: 3, display: '3 points' },
+        { name: 'Ben', value: 4, display: '4 points' },
+      ]);
+      assert.deepEqual(
+        payload.spark.map((day) => day.label),
+        ['Thu', 'Fri', 'Sat', 'Sun', 'Mon', 'Tue', 'Wed']
+      );
+    });
+
+    it('answers for a single earlier day', async () => {
+      const response = await invoke(
+        envelope('summary', { slots: { period: null, date: '2026-03-09' } })
+      );
+
+      assert.equal(
+        speech(response),
+        'On Monday, March 9, Anna had 0 points and Ben had 4 points.'
+      );
+      const { payload } = directive(
+        response,
+        'Alexa.Presentation.APL.RenderDocument'
+      ).datasources;
+      assert.deepEqual(
+        payload.summary.map(({ name, value }) => [name, value]),
+        [
+          ['Anna', 0],
+          ['Ben', 4],
+        ]
+      );
+    });
+  });
+
+  describe('DailySummaryIntent', () => {
+    function dailySummary(slots) {
+      const request = envelope('summary', {
+        intent: 'DailySummaryIntent',
+        slotsOnly: true,
+        slots,
+      });
+      request.context.System.user.permissions = {
+        scopes: {
+          'alexa::alerts:reminders:skill:readwrite': { status: 'GRANTED' },
+        },
+      };
+      return request;
+    }
+
+    function summaryTime() {
+      const [row] = fakes.spreadsheet.rows('Families');
+      return row[FAMILIES_HEADER.indexOf('summary_time')];
+    }
+
+    it('keeps a time in the morning when the daypart says so', async () => {
+      seedFamily(fakes.spreadsheet, ['Anna', 'Ben']);
+
+      const response = await invoke(
+        dailySummary({
+          time: '08:00',
+          daypart: { value: 'in the morning', id: 'morning' },
+        })
+      );
+
+      assert.equal(summaryTime(), '08:00');
+      assert.equal(
+        speech(response),
+        'Okay, I will send you the points summary every day at 8 AM. To turn it off, say: stop the daily summary.'
+      );
+    });
+
+    it('reads back an hour without a daypart as the evening', async () => {
+      seedFamily(fakes.spreadsheet, ['Anna', 'Ben']);
+
+      const response = await invoke(dailySummary({ time: '08:00' }));
+
+      assert.equal(summaryTime(), '20:00');
+      assert.equal(
+        speech(response),
+        'Okay, I will send you the points summary every day at 8 PM. To turn it off, say: stop the daily summary. If you meant 8 AM, say: send me a summary every morning at 8 AM.'
+      );
+    });
+  });
+
+  describe('daily summary message', () => {
+    it("sets a reminder with the day's points outside a session", async () => {
+      seedFamily(
+        fakes.spreadsheet,
+        ['Anna', 'Ben'],
+        [['2026-03-11', 'Anna', 3]]
+      );
+
+      const response = await invoke(envelope('dailySummaryMessage'));
+
+      assert.equal(response.outputSpeech, undefined);
+      const reminder = fakes.alexaApi.find((request) =>
+        request.url.endsWith('/v1/alerts/reminders')
+      );
+      assert.ok(reminder);
+      const { alertInfo } = JSON.parse(reminder.body);
+      assert.deepEqual(alertInfo.spokenInfo.content, [
+        {
+          locale: 'en-US',
+          text: "Here is today's points summary. Today, Anna has 3 points and Ben has 0 points.",
+        },
+      ]);
+    });
+  });
+
+  describe('CanFulfillIntentRequest', () => {
+    it('accepts an AdjustPointsIntent without touching storage', async () => {
+      const response = await invoke(envelope('canFulfill'));
+
+      assert.equal(response.canFulfillIntent.canFulfill, 'YES');
+      assert.deepEqual(response.canFulfillIntent.slots.delta, {
+        canUnderstand: 'YES',
+        canFulfill: 'YES',
+      });
+      assert.deepEqual(response.canFulfillIntent.slots.person, {
+        canUnderstand: 'MAYBE',
+        canFulfill: 'MAYBE',
+      });
+      assert.equal(response.outputSpeech, undefined);
+      assert.deepEqual(fakes.spreadsheet.calls, []);
+      assert.deepEqual(fakes.secrets, []);
+    });
+
+    it('declines intents the skill does not have', async () => {
+      const response = await invoke(
+        envelope('canFulfill', { intent: 'OrderPizzaIntent' })
+      );
+
+      assert.deepEqual(response.canFulfillIntent, { canFulfill: 'NO' });
+    });
+  });
+
+  describe('export', () => {
+    it('includes the archived events of compacted days', async () => {
+      seedFamily(
+        fakes.spreadsheet,
+        ['Anna', 'Ben'],
+        [['2026-03-11', 'Anna', 2, 'cleaning her room']]
+      );
+      fakes.spreadsheet.addSheet(`${TAB_NAME}_Archive`, [
+        EVENTS_HEADER,
+        [
+          '2025-01-05T17:00:00.000+01:00',
+          '2025-01-05',
+          'Ben',
+          '3',
+          'Parent',
+          'dishes',
+        ],
+      ]);
+
+      const exported = JSON.parse(await exportFamily(USER_ID, 'json'));
+      assert.deepEqual(
+        exported.events.map((event) => [event.date, event.archived]),
+        [
+          ['2025-01-05', true],
+          ['2026-03-11', undefined],
+        ]
+      );
+
+      const csv = (await exportFamily(USER_ID, 'csv')).split('\n');
+      assert.match(csv[0], /,ref,archived$/);
+      assert.match(csv[1], /^2025-01-05T.*,dishes,,,true$/);
+      assert.match(csv[2], /cleaning her room,,,$/);
+    });
+  });
+});
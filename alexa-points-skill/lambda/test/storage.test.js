@@ -0,0 +1,494 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFakeDocumentClient, installFakes } = require('./fakes');
+const { buildAggregates } = require('../compact');
+const { createStore } = require('../storage');
+const { EVENTS_HEADER, FAMILIES_HEADER } = require('../storage/sheets');
+
+function familyRow(userId, kids, updatedAt, version = 1) {
+  const row = [userId, `Family_${userId}`, kids, updatedAt, updatedAt];
+  row[FAMILIES_HEADER.indexOf('version')] = version;
+  return row;
+}
+
+const TAB = 'Family_test';
+const ZONE = 'Europe/Oslo';
+
+// Raw events as the skill writes them, newest appended last. The backdated
+// one is dated before the entries logged ahead of it.
+const OLD_A = {
+  timestamp_iso: '2026-01-05T18:00:00.000+01:00',
+  date: '2026-01-05',
+  person: 'Anna',
+  delta: 3,
+  who: 'Mom',
+  note: 'dishes',
+  type: '',
+  ref: '',
+  request_id: '',
+};
+const OLD_B = {
+  ...OLD_A,
+  timestamp_iso: '2026-01-06T18:00:00.000+01:00',
+  date: '2026-01-06',
+  person: 'Ben',
+  delta: 1,
+  note: '',
+  request_id: 'amzn1.echo-api.request.b',
+};
+const RECENT_C = {
+  ...OLD_A,
+  timestamp_iso: '2026-03-10T18:00:00.000+01:00',
+  date: '2026-03-10',
+  delta: 1,
+  request_id: 'amzn1.echo-api.request.c',
+};
+const BACKDATED_D = {
+  ...OLD_A,
+  timestamp_iso: '2026-03-10T19:00:00.000+01:00',
+  date: '2026-01-07',
+  delta: 2,
+  note: '',
+  request_id: 'amzn1.echo-api.request.d',
+};
+const RECENT_E = {
+  ...OLD_B,
+  timestamp_iso: '2026-03-11T18:00:00.000+01:00',
+  date: '2026-03-11',
+  delta: 2,
+  request_id: 'amzn1.echo-api.request.e',
+};
+const EVENTS = [OLD_A, OLD_B, RECENT_C, BACKDATED_D, RECENT_E];
+
+function eventRow(event) {
+  return EVENTS_HEADER.map((column) => event[column]);
+}
+
+describe('buildAggregates', () => {
+  it('sums each day, child and adult, keeping redemptions apart', () => {
+    const added = {
+      ...OLD_A,
+      timestamp_iso: '2026-01-05T19:00:00.000+01:00',
+      delta: 2,
+    };
+    const redeem = {
+      ...OLD_A,
+      timestamp_iso: '2026-01-06T09:00:00.000+01:00',
+      date: '2026-01-06',
+      delta: -5,
+      who: 'Dad',
+      note: 'screen time',
+      type: 'redeem',
+    };
+    const events = [
+      OLD_A,
+      added,
+      // Undoing counts towards the adult who made the change.
+      {
+        ...added,
+        timestamp_iso: '2026-01-05T20:00:00.000+01:00',
+        delta: -2,
+        who: 'Dad',
+        type: 'undo',
+        ref: added.timestamp_iso,
+      },
+      redeem,
+      {
+        ...redeem,
+        timestamp_iso: '2026-01-06T10:00:00.000+01:00',
+        delta: 5,
+        who: 'Mom',
+        note: '',
+        type: 'undo',
+        ref: redeem.timestamp_iso,
+      },
+      {
+        ...redeem,
+        timestamp_iso: '2026-01-06T11:00:00.000+01:00',
+        delta: -4,
+        note: 'ice cream',
+      },
+      { ...OLD_B, who: 'Dad' },
+      RECENT_C,
+    ];
+
+    assert.deepEqual(buildAggregates(events, '2026-03-01', ZONE), [
+      {
+        timestamp_iso: '2026-01-05T00:00:00.000+01:00',
+        date: '2026-01-05',
+        person: 'Anna',
+        delta: 3,
+        who: 'Mom',
+        note: '3 changes',
+        type: 'aggregate',
+        ref: '',
+      },
+      {
+        timestamp_iso: '2026-01-06T00:00:00.000+01:00',
+        date: '2026-01-06',
+        person: 'Anna',
+        delta: -4,
+        who: 'Dad',
+        note: '3 changes',
+        type: 'redeem_aggregate',
+        ref: '',
+      },
+      {
+        timestamp_iso: '2026-01-06T00:00:00.000+01:00',
+        date: '2026-01-06',
+        person: 'Ben',
+        delta: 1,
+        who: 'Dad',
+        note: '1 change',
+        type: 'aggregate',
+        ref: '',
+      },
+    ]);
+  });
+
+  it('leaves out aggregates and events from the horizon on', () => {
+    const [aggregate] = buildAggregates([OLD_A], '2026-03-01', ZONE);
+
+    assert.deepEqual(
+      buildAggregates([aggregate, RECENT_C], '2026-03-01', ZONE),
+      []
+    );
+  });
+});
+
+describe('compactEvents', () => {
+  let fakes;
+
+  beforeEach(() => {
+    fakes = installFakes();
+  });
+
+  afterEach(() => {
+    fakes.restore();
+  });
+
+  function seedEvents() {
+    fakes.spreadsheet.addSheet(TAB, [
+      EVENTS_HEADER,
+      ...EVENTS.map((event) => eventRow(event)),
+    ]);
+    fakes.spreadsheet.addSheet(`${TAB}_Archive`, [EVENTS_HEADER]);
+  }
+
+  async function compact(store, before) {
+    const events = await store.readEvents(TAB);
+    return store.compactEvents(
+      TAB,
+      before,
+      buildAggregates(events, before, ZONE)
+    );
+  }
+
+  function storedRows(title) {
+    return fakes.spreadsheet.rows(title).map((row) => row.slice(0, 4));
+  }
+
+  it('archives old rows and swaps them for aggregates in Sheets', async () => {
+    seedEvents();
+    const store = createStore('sheets');
+
+    assert.equal(await compact(store, '2026-03-01'), 3);
+
+    assert.deepEqual(
+      fakes.spreadsheet.rows(`${TAB}_Archive`).map((row) => row[0]),
+      [OLD_A, OLD_B, BACKDATED_D].map((event) => event.timestamp_iso)
+    );
+    assert.deepEqual(storedRows(TAB), [
+      ['2026-01-05T00:00:00.000+01:00', '2026-01-05', 'Anna', '3'],
+      ['2026-01-06T00:00:00.000+01:00', '2026-01-06', 'Ben', '1'],
+      ['2026-01-07T00:00:00.000+01:00', '2026-01-07', 'Anna', '2'],
+      [RECENT_C.timestamp_iso, RECENT_C.date, 'Anna', '1'],
+      [RECENT_E.timestamp_iso, RECENT_E.date, 'Ben', '2'],
+    ]);
+    // Separate runs of old rows are deleted bottom-up in one batch.
+    const { requests } = fakes.spreadsheet.calls
+      .filter((call) => call.method === 'batchUpdate')
+      .pop().params.requestBody;
+    assert.deepEqual(
+      requests
+        .filter((request) => request.deleteDimension)
+        .map(({ deleteDimension: { range } }) => [
+          range.startIndex,
+          range.endIndex,
+        ]),
+      [
+        [4, 5],
+        [1, 3],
+      ]
+    );
+  });
+
+  for (const [name, first] of [
+    ['a legacy first row', OLD_A],
+    ['a first row with a request id', OLD_B],
+  ]) {
+    it(`archives every row once when a rerun follows a failed swap, with ${name}`, async () => {
+      fakes.spreadsheet.addSheet(TAB, [
+        EVENTS_HEADER,
+        ...[first, ...EVENTS.filter((event) => event !== first)].map((event) =>
+          eventRow(event)
+        ),
+      ]);
+      fakes.spreadsheet.addSheet(`${TAB}_Archive`, [EVENTS_HEADER]);
+      const store = createStore('sheets');
+      fakes.spreadsheet.failNext('batchUpdate', new Error('Quota exceeded'));
+
+      await assert.rejects(compact(store, '2026-01-07'), /Quota exceeded/);
+      assert.equal(fakes.spreadsheet.rows(`${TAB}_Archive`).length, 2);
+      assert.equal(fakes.spreadsheet.rows(TAB).length, 5);
+
+      // The next run's horizon takes in one more day.
+      assert.equal(await compact(store, '2026-03-01'), 3);
+
+      const archived = fakes.spreadsheet
+        .rows(`${TAB}_Archive`)
+        .map((row) => row[0]);
+      assert.deepEqual(
+        [...archived].sort(),
+        [OLD_A, OLD_B, BACKDATED_D].map((event) => event.timestamp_iso).sort()
+      );
+      assert.deepEqual(
+        fakes.spreadsheet.rows(TAB).map((row) => row[1]),
+        ['2026-01-05', '2026-01-06', '2026-01-07', '2026-03-10', '2026-03-11']
+      );
+    });
+  }
+
+  it('archives old events and swaps them for aggregates in memory', async () => {
+    const state = { families: [], events: { [TAB]: EVENTS }, archive: {} };
+    const store = createStore('memory', { initialState: state });
+
+    assert.equal(await compact(store, '2026-03-01'), 3);
+
+    assert.deepEqual(state.archive[TAB], [OLD_A, OLD_B, BACKDATED_D]);
+    assert.deepEqual(await store.readArchivedEvents(TAB), [
+      OLD_A,
+      OLD_B,
+      BACKDATED_D,
+    ]);
+    assert.deepEqual(
+      state.events[TAB].map((event) => [event.date, event.type]),
+      [
+        ['2026-01-05', 'aggregate'],
+        ['2026-01-06', 'aggregate'],
+        ['2026-01-07', 'aggregate'],
+        ['2026-03-10', ''],
+        ['2026-03-11', ''],
+      ]
+    );
+    assert.equal(await compact(store, '2026-03-01'), 0);
+  });
+});
+
+describe('compactEvents in DynamoDB', () => {
+  // A day with more raw events than one transaction can delete.
+  const busyDay = Array.from({ length: 150 }, (_, i) => ({
+    ...OLD_A,
+    timestamp_iso: `2026-01-05T18:00:00.${String(i).padStart(3, '0')}+01:00`,
+    delta: 1,
+    note: '',
+  }));
+  let documents;
+  let store;
+
+  beforeEach(() => {
+    documents = createFakeDocumentClient();
+    store = createStore('dynamodb', {
+      documentClient: documents.client,
+      eventsTable: 'Events',
+      archiveTable: 'Archive',
+    });
+  });
+
+  async function compact(before) {
+    const events = await store.readEvents(TAB);
+    return store.compactEvents(
+      TAB,
+      before,
+      buildAggregates(events, before, ZONE)
+    );
+  }
+
+  async function total() {
+    const events = await store.readEvents(TAB);
+    return events.reduce((sum, event) => sum + event.delta, 0);
+  }
+
+  it('splits a day too busy for one transaction', async () => {
+    await store.appendEvents([...busyDay, OLD_B, RECENT_C], TAB);
+
+    assert.equal(await compact('2026-03-01'), 151);
+
+    assert.equal((await store.readArchivedEvents(TAB)).length, 151);
+    assert.deepEqual(
+      documents
+        .items('Events')
+        .map((item) => [item.date, item.delta])
+        .sort(),
+      [
+        ['2026-01-05', 150],
+        ['2026-01-06', 1],
+        ['2026-03-10', 1],
+      ]
+    );
+    assert.equal(await total(), 152);
+  });
+
+  it('finishes a split day a failed run left behind', async () => {
+    await store.appendEvents([...busyDay, RECENT_C], TAB);
+    const transactWrite = documents.client.transactWrite;
+    let transactions = 0;
+    documents.client.transactWrite = (params) => {
+      transactions += 1;
+      if (transactions === 3) {
+        return {
+          promise: async () => {
+            throw new Error('Throughput exceeds the current capacity');
+          },
+        };
+      }
+      return transactWrite(params);
+    };
+
+    await assert.rejects(compact('2026-03-01'), /Throughput/);
+    documents.client.transactWrite = transactWrite;
+    // The aggregate is written and the listed events are hidden meanwhile.
+    assert.equal(await total(), 151);
+
+    assert.equal(await compact('2026-03-01'), 50);
+
+    assert.deepEqual(
+      documents
+        .items('Events')
+        .map((item) => item.event_id.slice(0, 10))
+        .sort(),
+      ['2026-01-05', '2026-03-10']
+    );
+    assert.equal(await total(), 151);
+    assert.equal(documents.items('Archive').length, 150);
+  });
+});
+
+describe('sheets store', () => {
+  let fakes;
+
+  beforeEach(() => {
+    fakes = installFakes();
+  });
+
+  afterEach(() => {
+    fakes.restore();
+  });
+
+  describe('readEvents', () => {
+    // Logged in Oslo, then from New York after the family moved, so the
+    // timestamps' offsets differ; the last entry is backdated.
+    const rows = [
+      ['2026-03-01T09:00:00.000+01:00', '2026-03-01', 'Anna', '1'],
+      ['2026-03-08T20:00:00.000+01:00', '2026-03-08', 'Anna', '2'],
+      ['2026-03-09T19:00:00.000-04:00', '2026-03-09', 'Anna', '3'],
+      ['2026-03-10T21:00:00.000-04:00', '2026-03-07', 'Ben', '4'],
+    ];
+
+    function reads() {
+      return fakes.spreadsheet.calls.filter((call) =>
+        call.method.startsWith('values.')
+      );
+    }
+
+    it('reads the events dated since a day by their date', async () => {
+      fakes.spreadsheet.addSheet(TAB, [EVENTS_HEADER, ...rows]);
+      const store = createStore('sheets');
+
+      const events = await store.readEvents(TAB, { since: '2026-03-07' });
+
+      assert.deepEqual(
+        events.map((event) => event.delta),
+        [2, 3, 4]
+      );
+      assert.equal(reads().length, 1);
+      assert.deepEqual(
+        await store.readEvents(TAB, { since: '2026-03-10' }),
+        []
+      );
+    });
+
+    it('starts where the last read did, and earlier after deletes', async () => {
+      fakes.spreadsheet.addSheet(TAB, [EVENTS_HEADER, ...rows]);
+      const store = createStore('sheets');
+      await store.readEvents(TAB, { since: '2026-03-08' });
+      fakes.spreadsheet.calls.length = 0;
+
+      fakes.spreadsheet.appendRow(TAB, [
+        '2026-03-11T08:00:00.000-04:00',
+        '2026-03-11',
+        'Ben',
+        '5',
+      ]);
+      const warm = await store.readEvents(TAB, { since: '2026-03-08' });
+      assert.deepEqual(
+        warm.map((event) => event.delta),
+        [2, 3, 5]
+      );
+      assert.equal(reads().length, 1);
+
+      await store.compactEvents(TAB, '2026-03-09', []);
+      fakes.spreadsheet.calls.length = 0;
+      const shifted = await store.readEvents(TAB, { since: '2026-03-07' });
+      assert.deepEqual(
+        shifted.map((event) => event.delta),
+        [3, 5]
+      );
+      assert.equal(reads().length, 2);
+    });
+  });
+
+  describe('removeFamilyRows', () => {
+    it('finds rows again after another request shifted them', async () => {
+      fakes.spreadsheet.addSheet('Families', [
+        FAMILIES_HEADER,
+        familyRow('other', 'Maya', '2026-03-01T09:00:00.000Z'),
+        familyRow('parent', 'Ben', '2026-03-01T10:00:00.000Z'),
+        familyRow('parent', 'Anna', '2026-03-01T10:00:05.000Z', 2),
+      ]);
+      // Two warm containers, each with the rows as it last read them.
+      const store = createStore('sheets');
+      const elsewhere = createStore('sheets');
+      const families = await store.readFamilies();
+      const [other] = await elsewhere.readFamilies();
+
+      await elsewhere.removeFamilyRows([other]);
+      const removed = await store.removeFamilyRows([families[1]]);
+
+      assert.equal(removed, 1);
+      const kids = fakes.spreadsheet
+        .rows('Families')
+        .map((row) => row[FAMILIES_HEADER.indexOf('kids')]);
+      assert.deepEqual(kids, ['Anna']);
+    });
+
+    it('leaves a row that changed since it was read', async () => {
+      fakes.spreadsheet.addSheet('Families', [
+        FAMILIES_HEADER,
+        familyRow('parent', 'Anna', '2026-03-01T10:00:00.000Z'),
+      ]);
+      const store = createStore('sheets');
+      const [family] = await store.readFamilies();
+      await store.saveFamily(
+        { ...family, updatedAt: '2026-03-01T11:00:00.000Z' },
+        family
+      );
+
+      assert.equal(await store.removeFamilyRows([family]), 0);
+      assert.equal(fakes.spreadsheet.rows('Families').length, 1);
+    });
+  });
+});